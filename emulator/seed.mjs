@@ -0,0 +1,244 @@
+/**
+ * Emulator seed for Vườn Rực Rỡ
+ * Wipes the local Auth, Firestore and Realtime Database emulators and loads the sample
+ * players from seed-data.json (accounts, profiles, usernames, balances, farm, check-in
+ * ledger, currency history and item inbox). Check-in dates are relative to today's game day.
+ *
+ * Usage (Node 18+, no dependencies):
+ *   firebase emulators:start            # from the repository root, uses firebase.json
+ *   node emulator/seed.mjs              # in another terminal
+ *   open http://127.0.0.1:5000/?emulator=1
+ *
+ * Every sample player signs in with seed-data.json's password, by email or username.
+ * Username login, 2FA recovery and "sign out everywhere" need the /api backend, which the
+ * emulators do not provide.
+ *
+ * Emulator hosts follow the Firebase CLI variables (FIREBASE_AUTH_EMULATOR_HOST,
+ * FIRESTORE_EMULATOR_HOST, FIREBASE_DATABASE_EMULATOR_HOST) and default to firebase.json.
+ */
+
+import { readFile } from 'node:fs/promises';
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-vuonrucro';
+const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099';
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+const DATABASE_HOST = process.env.FIREBASE_DATABASE_EMULATOR_HOST || '127.0.0.1:9000';
+
+// "owner" bypasses security rules on every emulator
+const ADMIN_HEADERS = {
+    'Content-Type': 'application/json',
+    'Authorization': 'Bearer owner'
+};
+
+// Same game day as js/game-clock.js (Vietnam time, reset at midnight)
+const GAME_TIME_ZONE = 'Asia/Ho_Chi_Minh';
+const TILEMAP_STATE = { ground: 0, grass: 1, forest: 2 };
+
+async function call(url, method, body) {
+    const response = await fetch(url, {
+        method,
+        headers: ADMIN_HEADERS,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (!response.ok) {
+        throw new Error(`${method} ${url} failed with ${response.status}: ${await response.text()}`);
+    }
+    return response;
+}
+
+// YYYY-MM-DD of the game day a number of days ago
+function gameDate(daysAgo) {
+    const date = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+    return new Intl.DateTimeFormat('en-CA', { timeZone: GAME_TIME_ZONE }).format(date);
+}
+
+function timestamp(daysAgo) {
+    return Date.now() - daysAgo * 24 * 60 * 60 * 1000;
+}
+
+// Plain values to the Firestore REST representation
+function toFirestoreValue(value) {
+    if (value === null || value === undefined) {
+        return { nullValue: null };
+    }
+    if (Array.isArray(value)) {
+        return { arrayValue: { values: value.map(toFirestoreValue) } };
+    }
+    switch (typeof value) {
+        case 'boolean':
+            return { booleanValue: value };
+        case 'number':
+            return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+        case 'object':
+            return { mapValue: { fields: toFirestoreFields(value) } };
+        default:
+            return { stringValue: String(value) };
+    }
+}
+
+function toFirestoreFields(object) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, toFirestoreValue(value)]));
+}
+
+// Grass everywhere, then the forest and ground cells listed in the seed
+function buildFarm(farm) {
+    if (!farm) {
+        return { lstTilemapDetail: [] };
+    }
+    const tiles = [];
+    for (let y = 0; y < farm.height; y++) {
+        for (let x = 0; x < farm.width; x++) {
+            tiles.push({ x, y, tilemapState: TILEMAP_STATE.grass });
+        }
+    }
+    ['forest', 'ground'].forEach(kind => {
+        (farm[kind] || []).forEach(([x, y]) => tiles.push({ x, y, tilemapState: TILEMAP_STATE[kind] }));
+    });
+    return { lstTilemapDetail: tiles };
+}
+
+// Diamonds the default schedule of data/reward-schedules.json gives on a streak day
+function getStreakReward(schedule, streak) {
+    const day = ((streak - 1) % schedule.cycleLength) + 1;
+    const reward = schedule.rewards[day];
+    return typeof reward === 'number' ? reward : schedule.defaultReward.amount;
+}
+
+// Check-in ledger in the shape index.html keeps at CheckinLedger/{uid}
+function buildLedger(daysAgo, schedule) {
+    if (daysAgo.length === 0) {
+        return null;
+    }
+    const dates = [...new Set(daysAgo)].sort((a, b) => b - a).map(gameDate);
+    const ledger = {
+        totalDiamonds: 0,
+        totalGold: 0,
+        currentStreak: 0,
+        longestStreak: 0,
+        totalCheckins: dates.length,
+        checkinDates: dates,
+        lastCheckinDate: dates[dates.length - 1],
+        monthlyCheckins: {},
+        checkinLog: {},
+        makeupCheckins: {}
+    };
+
+    let streak = 0;
+    let previous = null;
+    dates.forEach(date => {
+        const dayBefore = new Date(`${date}T00:00:00Z`);
+        dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+        streak = previous === dayBefore.toISOString().slice(0, 10) ? streak + 1 : 1;
+        previous = date;
+
+        const amount = getStreakReward(schedule, streak);
+        ledger.checkinLog[date] = { rewards: [{ type: 'diamond', amount }], streak, schedule: 'default' };
+        ledger.totalDiamonds += amount;
+        ledger.longestStreak = Math.max(ledger.longestStreak, streak);
+
+        const monthKey = date.slice(0, 7);
+        ledger.monthlyCheckins[monthKey] = [...(ledger.monthlyCheckins[monthKey] || []), Number(date.slice(8))];
+    });
+
+    // The streak only counts if it reaches yesterday or today
+    ledger.currentStreak = [gameDate(0), gameDate(1)].includes(ledger.lastCheckinDate) ? streak : 0;
+    return ledger;
+}
+
+// History entries, oldest first, with balances that end at the player's current balance
+function buildHistory(player) {
+    const entries = [...player.history].sort((a, b) => b.daysAgo - a.daysAgo);
+    const balances = { gold: player.gold, diamond: player.diamond };
+    const history = {};
+    [...entries].reverse().forEach((entry, index) => {
+        const id = `seed_${entries.length - 1 - index}_${entry.currency}`;
+        history[id] = {
+            currency: entry.currency,
+            amount: entry.amount,
+            balance: balances[entry.currency],
+            reason: entry.reason,
+            source: 'seed',
+            grantId: null,
+            createdAt: timestamp(entry.daysAgo)
+        };
+        balances[entry.currency] -= entry.amount;
+    });
+    return history;
+}
+
+async function clearEmulators() {
+    await call(`http://${AUTH_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, 'DELETE');
+    await call(`http://${FIRESTORE_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, 'DELETE');
+    await call(`http://${DATABASE_HOST}/.json?ns=${PROJECT_ID}`, 'PUT', null);
+}
+
+async function seedPlayer(player, password, schedule) {
+    const now = new Date().toISOString();
+
+    await call(`http://${AUTH_HOST}/identitytoolkit.googleapis.com/v1/projects/${PROJECT_ID}/accounts`, 'POST', {
+        localId: player.uid,
+        email: player.email,
+        password,
+        displayName: player.displayName,
+        emailVerified: player.emailVerified
+    });
+
+    const documents = `http://${FIRESTORE_HOST}/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+    await call(`${documents}/users/${player.uid}`, 'PATCH', {
+        fields: toFirestoreFields({
+            uid: player.uid,
+            email: player.email,
+            displayName: player.displayName,
+            username: player.username,
+            usernameKey: player.username,
+            provider: 'email',
+            providers: ['password'],
+            createdAt: now,
+            lastLogin: now
+        })
+    });
+    await call(`${documents}/usernames/${player.username}`, 'PATCH', {
+        fields: toFirestoreFields({ uid: player.uid, username: player.username, createdAt: now })
+    });
+
+    const inbox = {};
+    (player.inbox || []).forEach((item, index) => {
+        inbox[`seed_${index}`] = {
+            id: item.id,
+            name: item.name,
+            amount: item.amount,
+            source: 'seed',
+            createdAt: timestamp(item.daysAgo)
+        };
+    });
+
+    await call(`http://${DATABASE_HOST}/.json?ns=${PROJECT_ID}`, 'PATCH', {
+        [`Users/${player.uid}`]: {
+            SchemaVersion: 2,
+            Name: player.displayName,
+            Gold: player.gold,
+            Diamond: player.diamond,
+            MapInGame: buildFarm(player.farm),
+            AppliedGrants: {}
+        },
+        [`CheckinLedger/${player.uid}`]: buildLedger(player.checkinDaysAgo, schedule),
+        [`CurrencyHistory/${player.uid}`]: buildHistory(player),
+        [`ItemInbox/${player.uid}`]: inbox
+    });
+}
+
+const seed = JSON.parse(await readFile(new URL('./seed-data.json', import.meta.url), 'utf8'));
+const schedules = JSON.parse(await readFile(new URL('../data/reward-schedules.json', import.meta.url), 'utf8'));
+
+try {
+    await clearEmulators();
+    for (const player of seed.players) {
+        await seedPlayer(player, seed.password, schedules.default);
+        console.log(`Seeded ${player.displayName} (${player.email} / ${player.username})`);
+    }
+    console.log(`Done. Password for every sample player: ${seed.password}`);
+} catch (error) {
+    console.error('Seeding failed. Are the emulators running (firebase emulators:start)?');
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -1,48 +1,647 @@
 /**
  * API Client for Vườn Rực Rỡ Game
  * Handles communication with Flask backend
+ *
+ * Requests carry the signed-in Firebase user's ID token (Authorization: Bearer <id token>),
+ * so the backend verifies players with the Firebase Admin SDK. The Firebase SDK refreshes
+ * the token before it expires; a 401 forces one refresh and one retry. The client follows
+ * sign-in and sign-out through js/firebase-auth.js.
+ *
+ * Legacy mode (window.GAME_API_CONFIG = { legacyAuth: true }) keeps the backend's own
+ * accounts: register/login hand out JWTs that are refreshed through POST /refresh
+ * (Authorization: Bearer <refresh_token>, returns { access_token }) shortly before
+ * they expire, and once more when a request comes back 401.
+ *
+ * When the session cannot be renewed an "auth-expired" event is fired on window. With Firebase
+ * that only happens once Firebase itself has signed the user out; while the user is still
+ * signed in a refused token rejects with code 'auth-unavailable' instead. Pages without
+ * js/firebase-auth.js (or where it never loads) carry on signed out after AUTH_READY_TIMEOUT.
+ * No page loads this client yet; the page that does must listen for "auth-expired" itself and
+ * ask the player to sign in again (e.g. showWarningAlert, then openLoginModal on index.html).
+ *
+ * Every attempt has a timeout (options.timeout, in ms) and callers can cancel through
+ * options.signal. GET requests are retried with jittered exponential backoff on network
+ * errors, timeouts and 408/429/5xx responses (options.retries overrides the count).
+ *
+ * Failed requests reject with an ApiError: NetworkError (code 'offline', 'timeout' or
+ * 'network'), AuthError (401/403), ValidationError (400/422, with fieldErrors),
+ * RateLimitError (429, with retryAfter) or ServerError (5xx). Cancelled requests reject
+ * with code 'aborted'. Error bodies are read as { error, code, errors: { field: message } }.
+ * getApiErrorMessage() and showApiError() turn them into messages for players.
+ *
+ * Cloud saves live in named slots. Each save is { slot, revision, deviceId, savedAt, data };
+ * the server numbers revisions 1, 2, 3... per slot and keeps the older ones:
+ *   GET  /game/saves                            -> { slots: [save without data] }
+ *   GET  /game/saves/<slot>                     -> save
+ *   PUT  /game/saves/<slot>                     { data, baseRevision, deviceId, savedAt } -> save
+ *   GET  /game/saves/<slot>/revisions           -> { revisions: [save without data] }
+ *   GET  /game/saves/<slot>/revisions/<number>  -> save
+ *   POST /game/saves/<slot>/restore             { revision, baseRevision, deviceId, savedAt } -> save
+ * baseRevision is the revision this device last saved or loaded (null for a new slot). When
+ * the slot has moved on the server answers 409 { code: 'stale-revision', current: save },
+ * which rejects as SaveConflictError. Restoring writes the old data as a new revision.
  */
 
+// Refresh this many seconds before the access token expires
+const TOKEN_REFRESH_MARGIN = 60;
+
+// Endpoints that must not trigger a refresh (they hand out tokens themselves)
+const TOKEN_ENDPOINTS = ['/login', '/register', '/refresh'];
+
+// How long to wait for js/firebase-auth.js before treating the page as signed out (ms)
+const AUTH_READY_TIMEOUT = 5000;
+
+// Firebase token errors after which the SDK has signed the user out
+const FIREBASE_SESSION_ENDED_CODES = [
+    'auth/user-token-expired',
+    'auth/user-disabled',
+    'auth/user-not-found',
+    'auth/invalid-user-token'
+];
+
+// Time limit for one attempt, including reading the body, in milliseconds
+const REQUEST_TIMEOUT = 15000;
+
+// GET requests are retried this many times on network errors, timeouts and these statuses
+const GET_RETRIES = 2;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Backoff between retries in milliseconds: exponential from the base, capped, fully jittered
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 8000;
+
+// Slot used when callers do not name one
+const DEFAULT_SAVE_SLOT = 'main';
+
+// localStorage keys: this browser's device id, and the revision last synced per user and slot
+const DEVICE_ID_KEY = 'game_device_id';
+const SAVE_REVISIONS_KEY = 'game_save_revisions';
+
+// HTTP status to the error code used when the server does not send one
+const STATUS_ERROR_CODES = {
+    400: 'bad-request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not-found',
+    409: 'conflict',
+    422: 'invalid-data',
+    429: 'rate-limited'
+};
+
+// Retry-After in seconds, from either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Base class for GameAPI failures. `status` is the HTTP status (0 when no response arrived),
+// `code` a machine-readable reason, `fieldErrors` maps fields to messages and `retryAfter`
+// is in seconds.
+class ApiError extends Error {
+    constructor(message, { status = 0, code = 'unknown', fieldErrors = {}, retryAfter = null, data = null, cause } = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.status = status;
+        this.code = code;
+        this.fieldErrors = fieldErrors;
+        this.retryAfter = retryAfter;
+        this.data = data;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+
+    // Error for a response that is not ok. Proxies answer with HTML pages,
+    // so details are only taken from a JSON body.
+    static fromResponse(response, data) {
+        const body = data && typeof data === 'object' ? data : {};
+        const status = response.status;
+        const message = body.error || body.message || `API request failed with status ${status}`;
+        const options = {
+            status,
+            code: body.code || STATUS_ERROR_CODES[status] || (status >= 500 ? 'server-error' : 'http-error'),
+            fieldErrors: body.errors && typeof body.errors === 'object' ? body.errors : {},
+            retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+            data
+        };
+
+        if (status === 401 || status === 403) {
+            return new AuthError(message, options);
+        }
+        if (status === 400 || status === 422) {
+            return new ValidationError(message, options);
+        }
+        if (status === 429) {
+            return new RateLimitError(message, options);
+        }
+        if (status === 409 && body.code === 'stale-revision') {
+            return new SaveConflictError(message, { ...options, cloud: body.current || null });
+        }
+        if (status >= 500) {
+            return new ServerError(message, options);
+        }
+        return new ApiError(message, options);
+    }
+}
+
+// No response arrived: code 'offline', 'timeout' or 'network'
+class NetworkError extends ApiError {}
+
+// Not signed in, session expired ('session-expired') or not allowed
+class AuthError extends ApiError {}
+
+// The server rejected the data; fieldErrors says which fields
+class ValidationError extends ApiError {}
+
+// Too many requests; retryAfter says how long to wait when the server knows
+class RateLimitError extends ApiError {}
+
+// The server or a proxy in front of it failed
+class ServerError extends ApiError {}
+
+// A save was based on an old revision; `cloud` is the slot's current save when the server sent it
+class SaveConflictError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.cloud = options.cloud || null;
+    }
+}
+
+// Vietnamese message for a GameAPI failure
+function getApiErrorMessage(error) {
+    switch (error.code) {
+        case 'offline':
+            return 'Bạn đang ngoại tuyến. Vui lòng kiểm tra kết nối mạng!';
+        case 'timeout':
+            return 'Máy chủ phản hồi quá lâu. Vui lòng thử lại!';
+        case 'aborted':
+            return 'Yêu cầu đã bị hủy.';
+        case 'session-expired':
+            return 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại!';
+        case 'auth-unavailable':
+            return 'Không thể xác minh phiên đăng nhập. Vui lòng thử lại sau!';
+        case 'forbidden':
+            return 'Bạn không có quyền thực hiện thao tác này!';
+        case 'not-found':
+            return 'Không tìm thấy dữ liệu yêu cầu!';
+        case 'conflict':
+            return 'Dữ liệu đã được thay đổi ở nơi khác. Vui lòng tải lại trang!';
+        case 'stale-revision':
+            return 'Tiến trình đã được lưu từ một thiết bị khác!';
+    }
+
+    if (error instanceof NetworkError) {
+        return 'Không thể kết nối máy chủ. Vui lòng kiểm tra mạng!';
+    }
+    if (error instanceof AuthError) {
+        return 'Vui lòng đăng nhập để tiếp tục!';
+    }
+    if (error instanceof ValidationError) {
+        return 'Dữ liệu gửi lên không hợp lệ. Vui lòng kiểm tra lại!';
+    }
+    if (error instanceof RateLimitError) {
+        return error.retryAfter
+            ? `Bạn thao tác quá nhanh. Vui lòng thử lại sau ${Math.ceil(error.retryAfter)} giây!`
+            : 'Bạn thao tác quá nhanh. Vui lòng thử lại sau ít phút!';
+    }
+    if (error instanceof ServerError) {
+        return 'Máy chủ đang gặp sự cố. Vui lòng thử lại sau!';
+    }
+    return 'Đã xảy ra lỗi. Vui lòng thử lại!';
+}
+
+// Show a GameAPI failure through the page's showErrorAlert. Cancelled requests are skipped,
+// and so are expired sessions, which the page's "auth-expired" listener handles.
+function showApiError(error, title = 'Đã xảy ra lỗi!', callback) {
+    if (error.code === 'aborted' || error.code === 'session-expired') {
+        return;
+    }
+    const message = getApiErrorMessage(error);
+    if (typeof window.showErrorAlert === 'function') {
+        window.showErrorAlert(title, message, callback);
+    } else {
+        alert(`${title}\n${message}`);
+    }
+}
+
+// Ask which copy wins after a rejected save. Resolves to 'local' or 'cloud'.
+async function chooseSaveVersion(cloud, sameDevice) {
+    const savedAt = cloud && cloud.savedAt ? new Date(cloud.savedAt).toLocaleString('vi-VN') : 'không rõ thời gian';
+    const where = sameDevice ? 'ở một tab khác' : 'từ một thiết bị khác';
+    const text = `Tiến trình trên đám mây đã được lưu ${where} (${savedAt}) sau lần đồng bộ cuối của bạn. Bạn muốn giữ bản nào?`;
+
+    if (typeof Swal === 'undefined') {
+        return confirm(`${text}\n\nOK: giữ bản trên máy này. Hủy: giữ bản trên đám mây.`) ? 'local' : 'cloud';
+    }
+    const { isConfirmed } = await Swal.fire({
+        icon: 'warning',
+        title: 'Tiến trình không khớp!',
+        text,
+        showDenyButton: true,
+        confirmButtonText: 'Giữ bản trên máy này',
+        denyButtonText: 'Giữ bản trên đám mây',
+        confirmButtonColor: '#4a90e2',
+        denyButtonColor: '#6c757d',
+        allowOutsideClick: false,
+        allowEscapeKey: false
+    });
+    return isConfirmed ? 'local' : 'cloud';
+}
+
 class GameAPI {
-    constructor() {
-        this.baseURL = window.location.origin + '/api';
-        this.token = localStorage.getItem('access_token');
+    constructor(options = {}) {
+        this.baseURL = options.baseURL || window.location.origin + '/api';
+        this.legacyAuth = !!options.legacyAuth;
+        this.refreshPromise = null;
+
+        if (this.legacyAuth) {
+            this.token = localStorage.getItem('access_token');
+            this.refreshToken = localStorage.getItem('refresh_token');
+            this.authReady = Promise.resolve();
+        } else {
+            this.token = null;
+            this.refreshToken = null;
+            this.firebaseUser = null;
+            this.authReady = new Promise(resolve => {
+                this.resolveAuthReady = resolve;
+            });
+            this.watchFirebaseUser();
+        }
+    }
+
+    // Follow the Firebase user once js/firebase-auth.js has loaded; stop waiting after
+    // AUTH_READY_TIMEOUT and carry on with no user
+    watchFirebaseUser() {
+        const startedAt = Date.now();
+        const check = () => {
+            if (window.firebaseAuth && typeof window.firebaseAuth.onUserChanged === 'function') {
+                window.firebaseAuth.onUserChanged(user => {
+                    this.firebaseUser = user;
+                    this.resolveAuthReady();
+                });
+            } else if (Date.now() - startedAt >= AUTH_READY_TIMEOUT) {
+                console.warn('js/firebase-auth.js did not load; API requests are sent without a user');
+                this.resolveAuthReady();
+            } else {
+                setTimeout(check, 100);
+            }
+        };
+        check();
+    }
+
+    // Resolves once the signed-in user (or the lack of one) is known
+    ready() {
+        return this.authReady;
+    }
+
+    // Register and login only exist for the backend's own accounts
+    requireLegacyAuth(method) {
+        if (!this.legacyAuth) {
+            throw new Error(`GameAPI.${method} is only available with legacyAuth; sign in through firebaseAuth instead`);
+        }
+    }
+
+    static sessionExpiredError() {
+        return new AuthError('Session expired', { status: 401, code: 'session-expired' });
+    }
+
+    static abortError(cause) {
+        return new ApiError('Request cancelled', { code: 'aborted', cause });
+    }
+
+    static isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    // Response body as JSON when the server says it is JSON, as text otherwise, null when empty
+    static async readBody(response) {
+        const text = await response.text();
+        if (!text) {
+            return null;
+        }
+        const type = response.headers.get('Content-Type') || '';
+        if (type.includes('json')) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        }
+        return text;
+    }
+
+    // Wait before the next attempt: the server's Retry-After when it sends seconds,
+    // otherwise full-jitter exponential backoff. Null when the wait would be too long.
+    static getRetryDelay(attempt, response) {
+        const retryAfter = response ? parseRetryAfter(response.headers.get('Retry-After')) : null;
+        if (retryAfter > 0) {
+            return retryAfter * 1000 <= RETRY_MAX_DELAY ? retryAfter * 1000 : null;
+        }
+        return Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+    }
+
+    static wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(GameAPI.abortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, delay);
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                } else {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+            }
+        });
+    }
+
+    // One attempt with its own timeout, also aborted by the caller's signal.
+    // Resolves to { response, data } once the whole body has been read.
+    async fetchWithTimeout(url, config, timeout = REQUEST_TIMEOUT, signal) {
+        if (signal && signal.aborted) {
+            throw GameAPI.abortError();
+        }
+        if (GameAPI.isOffline()) {
+            throw new NetworkError('No network connection', { code: 'offline' });
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            const response = await fetch(url, { ...config, signal: controller.signal });
+            const data = await GameAPI.readBody(response);
+            return { response, data };
+        } catch (error) {
+            if (timedOut) {
+                throw new NetworkError(`Request timed out after ${timeout} ms`, { code: 'timeout', cause: error });
+            }
+            if (signal && signal.aborted) {
+                throw GameAPI.abortError(error);
+            }
+            if (GameAPI.isOffline()) {
+                throw new NetworkError('No network connection', { code: 'offline', cause: error });
+            }
+            throw new NetworkError('Network request failed', { code: 'network', cause: error });
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    // Send a request, retrying up to `retries` times with backoff when it is worth it
+    async send(url, config, { timeout, signal, retries }) {
+        for (let attempt = 0; ; attempt++) {
+            let result = null;
+            let failure = null;
+            try {
+                result = await this.fetchWithTimeout(url, config, timeout, signal);
+            } catch (error) {
+                if (!(error instanceof NetworkError) || error.code === 'offline') {
+                    throw error;
+                }
+                failure = error;
+            }
+
+            const retryable = failure !== null || RETRYABLE_STATUSES.includes(result.response.status);
+            const delay = retryable && attempt < retries
+                ? GameAPI.getRetryDelay(attempt, result && result.response)
+                : null;
+            if (delay === null) {
+                if (failure) {
+                    throw failure;
+                }
+                return result;
+            }
+            await GameAPI.wait(delay, signal);
+        }
     }
 
     // Set authentication token
-    setToken(token) {
+    setToken(token, refreshToken) {
         this.token = token;
         localStorage.setItem('access_token', token);
+        if (refreshToken) {
+            this.refreshToken = refreshToken;
+            localStorage.setItem('refresh_token', refreshToken);
+        }
     }
 
     // Clear authentication token
     clearToken() {
         this.token = null;
+        this.refreshToken = null;
         localStorage.removeItem('access_token');
+        localStorage.removeItem('refresh_token');
+    }
+
+    // Drop the session and let the UI ask the player to sign in again
+    expireSession(reason) {
+        if (this.legacyAuth) {
+            this.clearToken();
+        }
+        window.dispatchEvent(new CustomEvent('auth-expired', { detail: { reason } }));
+    }
+
+    // Decoded JWT payload, or null if the token is not a readable JWT
+    static decodeToken(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const padded = payload.padEnd(payload.length + (4 - payload.length % 4) % 4, '=');
+            const json = decodeURIComponent(Array.from(atob(padded), char =>
+                `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+            return JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Expiry of the access token in milliseconds, or null if it has none
+    getTokenExpiry() {
+        const payload = this.token ? GameAPI.decodeToken(this.token) : null;
+        return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    }
+
+    isTokenExpiring(margin = TOKEN_REFRESH_MARGIN) {
+        const expiry = this.getTokenExpiry();
+        return expiry !== null && expiry - margin * 1000 <= Date.now();
+    }
+
+    // Exchange the refresh token for a new access token. Concurrent callers share one
+    // refresh. Resolves to true on success; on failure the session is expired.
+    async refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.performRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async performRefresh() {
+        if (!this.refreshToken) {
+            this.expireSession('no-refresh-token');
+            return false;
+        }
+
+        try {
+            const { response, data } = await this.fetchWithTimeout(`${this.baseURL}/refresh`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.refreshToken}`
+                }
+            });
+            if (!response.ok) {
+                throw ApiError.fromResponse(response, data);
+            }
+            if (!data || !data.access_token) {
+                throw new AuthError('Token refresh returned no access token', { status: response.status, data });
+            }
+            this.setToken(data.access_token, data.refresh_token);
+            return true;
+        } catch (error) {
+            // Keep the session when the server simply could not be reached
+            if (error instanceof NetworkError) {
+                throw error;
+            }
+            console.error('Token refresh failed:', error);
+            this.expireSession('refresh-failed');
+            return false;
+        }
+    }
+
+    // Bearer token for the next request, or null when nobody is signed in.
+    // Firebase caches the ID token and refreshes it shortly before it expires.
+    async getAuthToken() {
+        if (this.legacyAuth) {
+            if (this.token && this.isTokenExpiring() && !(await this.refreshAccessToken())) {
+                throw GameAPI.sessionExpiredError();
+            }
+            return this.token;
+        }
+
+        await this.authReady;
+        if (!this.firebaseUser) {
+            return null;
+        }
+        try {
+            return await this.firebaseUser.getIdToken();
+        } catch (error) {
+            throw this.firebaseTokenError(error, 'token-failed');
+        }
+    }
+
+    // Error for a failed Firebase token call. The session only ends (and "auth-expired" only
+    // fires) when Firebase has signed the user out; a user who is still signed in keeps it.
+    firebaseTokenError(error, reason) {
+        if (error.code === 'auth/network-request-failed') {
+            return new NetworkError('Network request failed', {
+                code: GameAPI.isOffline() ? 'offline' : 'network',
+                cause: error
+            });
+        }
+        if (FIREBASE_SESSION_ENDED_CODES.includes(error.code)) {
+            this.expireSession(reason);
+            return GameAPI.sessionExpiredError();
+        }
+        return new AuthError('Could not get a Firebase ID token', { status: 401, code: 'auth-unavailable', cause: error });
     }
 
-    // Make API request
-    async request(endpoint, options = {}) {
+    // New credentials after a 401. Resolves to true when the request is worth retrying and
+    // false once the session is gone; a failed Firebase refresh rejects (see firebaseTokenError).
+    async renewToken() {
+        if (this.legacyAuth) {
+            return this.refreshAccessToken();
+        }
+        if (!this.firebaseUser) {
+            return false;
+        }
+        try {
+            await this.firebaseUser.getIdToken(true);
+            return true;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
+            throw this.firebaseTokenError(error, 'refresh-failed');
+        }
+    }
+
+    // Make API request. Uses a fresh token and, on a 401, renews it once and
+    // retries the request once.
+    async request(endpoint, options = {}, retried = false) {
+        const { timeout, signal, retries, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
         const url = `${this.baseURL}${endpoint}`;
+        const usesSession = !TOKEN_ENDPOINTS.includes(endpoint);
+        const token = usesSession ? await this.getAuthToken() : null;
+
         const config = {
+            ...fetchOptions,
             headers: {
                 'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
+                ...fetchOptions.headers
+            }
         };
 
         // Add authorization header if token exists
-        if (this.token) {
-            config.headers['Authorization'] = `Bearer ${this.token}`;
+        if (token) {
+            config.headers['Authorization'] = `Bearer ${token}`;
         }
 
         try {
-            const response = await fetch(url, config);
-            const data = await response.json();
+            const { response, data } = await this.send(url, config, {
+                timeout,
+                signal,
+                retries: retries !== undefined ? retries : (method === 'GET' ? GET_RETRIES : 0)
+            });
+
+            let sessionCode = null;
+            if (response.status === 401 && token && !retried) {
+                if (await this.renewToken()) {
+                    return this.request(endpoint, options, true);
+                }
+                sessionCode = 'session-expired';
+            } else if (response.status === 401 && token && retried) {
+                // A fresh Firebase token was refused while the user is still signed in:
+                // keep the session rather than sending the player to the login form
+                if (this.legacyAuth) {
+                    this.expireSession('unauthorized');
+                    sessionCode = 'session-expired';
+                } else {
+                    sessionCode = 'auth-unavailable';
+                }
+            }
 
             if (!response.ok) {
-                throw new Error(data.error || 'API request failed');
+                const error = ApiError.fromResponse(response, data);
+                if (sessionCode) {
+                    error.code = sessionCode;
+                }
+                throw error;
             }
 
             return data;
@@ -52,8 +651,9 @@ class GameAPI {
         }
     }
 
-    // Authentication methods
+    // Authentication methods (legacy mode)
     async register(username, email, password) {
+        this.requireLegacyAuth('register');
         return await this.request('/register', {
             method: 'POST',
             body: JSON.stringify({ username, email, password })
@@ -61,19 +661,23 @@ class GameAPI {
     }
 
     async login(username, password) {
+        this.requireLegacyAuth('login');
         const response = await this.request('/login', {
             method: 'POST',
             body: JSON.stringify({ username, password })
         });
         
         if (response.access_token) {
-            this.setToken(response.access_token);
+            this.setToken(response.access_token, response.refresh_token);
         }
         
         return response;
     }
 
     async logout() {
+        if (!this.legacyAuth) {
+            return window.firebaseAuth.logout();
+        }
         this.clearToken();
         // Redirect to home page
         window.location.href = '/';
@@ -91,16 +695,107 @@ class GameAPI {
         });
     }
 
-    // Game methods
-    async saveGame(gameData) {
-        return await this.request('/game/save', {
+    // Random id for this browser, so saves show which device wrote them
+    getDeviceId() {
+        let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+        if (!deviceId) {
+            deviceId = typeof crypto.randomUUID === 'function'
+                ? crypto.randomUUID()
+                : Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem(DEVICE_ID_KEY, deviceId);
+        }
+        return deviceId;
+    }
+
+    static readSaveRevisions() {
+        try {
+            return JSON.parse(localStorage.getItem(SAVE_REVISIONS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Revision of a slot this device last saved or loaded for the current player, null if none
+    getKnownRevision(slot) {
+        const revision = GameAPI.readSaveRevisions()[`${this.getCurrentUserId()}:${slot}`];
+        return typeof revision === 'number' ? revision : null;
+    }
+
+    setKnownRevision(slot, revision) {
+        const revisions = GameAPI.readSaveRevisions();
+        revisions[`${this.getCurrentUserId()}:${slot}`] = revision;
+        localStorage.setItem(SAVE_REVISIONS_KEY, JSON.stringify(revisions));
+    }
+
+    static savePath(slot, suffix = '') {
+        return `/game/saves/${encodeURIComponent(slot)}${suffix}`;
+    }
+
+    // Game methods. saveGame rejects with SaveConflictError when another device saved first;
+    // pass the cloud revision as baseRevision to overwrite it on purpose.
+    async saveGame(gameData, slot = DEFAULT_SAVE_SLOT, { baseRevision = this.getKnownRevision(slot) } = {}) {
+        const save = await this.request(GameAPI.savePath(slot), {
+            method: 'PUT',
+            body: JSON.stringify({
+                data: gameData,
+                baseRevision,
+                deviceId: this.getDeviceId(),
+                savedAt: new Date().toISOString()
+            })
+        });
+        this.setKnownRevision(slot, save.revision);
+        return save;
+    }
+
+    // Latest save of a slot; later saves from this device build on its revision
+    async loadGame(slot = DEFAULT_SAVE_SLOT) {
+        const save = await this.request(GameAPI.savePath(slot));
+        this.setKnownRevision(slot, save.revision);
+        return save;
+    }
+
+    async listSaveSlots() {
+        const response = await this.request('/game/saves');
+        return response.slots || [];
+    }
+
+    // Earlier revisions of a slot, without their data
+    async listSaveRevisions(slot = DEFAULT_SAVE_SLOT) {
+        const response = await this.request(GameAPI.savePath(slot, '/revisions'));
+        return response.revisions || [];
+    }
+
+    // Read an earlier revision without restoring it
+    async loadSaveRevision(slot, revision) {
+        return await this.request(GameAPI.savePath(slot, `/revisions/${encodeURIComponent(revision)}`));
+    }
+
+    // Make an earlier revision current again; the server stores it as a new revision
+    async restoreSaveRevision(slot, revision) {
+        const save = await this.request(GameAPI.savePath(slot, '/restore'), {
             method: 'POST',
-            body: JSON.stringify(gameData)
+            body: JSON.stringify({
+                revision,
+                baseRevision: this.getKnownRevision(slot),
+                deviceId: this.getDeviceId(),
+                savedAt: new Date().toISOString()
+            })
         });
+        this.setKnownRevision(slot, save.revision);
+        return save;
     }
 
-    async loadGame() {
-        return await this.request('/game/load');
+    // Let the player settle a SaveConflictError. "Keep local" writes gameData on top of the
+    // cloud revision, "keep cloud" adopts the cloud save. Resolves to { choice, save }.
+    async resolveSaveConflict(conflict, gameData, slot = DEFAULT_SAVE_SLOT) {
+        const cloud = conflict.cloud || await this.loadGame(slot);
+        const choice = await chooseSaveVersion(cloud, cloud.deviceId === this.getDeviceId());
+        if (choice === 'local') {
+            return { choice, save: await this.saveGame(gameData, slot, { baseRevision: cloud.revision }) };
+        }
+        const save = cloud.data !== undefined ? cloud : await this.loadGame(slot);
+        this.setKnownRevision(slot, save.revision);
+        return { choice, save };
     }
 
     // Analytics methods
@@ -127,24 +822,39 @@ class GameAPI {
 
     // Utility methods
     getCurrentUserId() {
-        const token = this.token;
-        if (!token) return null;
-        
-        try {
-            const payload = JSON.parse(atob(token.split('.')[1]));
-            return payload.sub;
-        } catch (error) {
-            return null;
+        if (!this.legacyAuth) {
+            return this.firebaseUser ? this.firebaseUser.uid : null;
         }
+        const payload = this.token ? GameAPI.decodeToken(this.token) : null;
+        return payload ? payload.sub : null;
     }
 
+    // A session counts while a Firebase user is signed in, or in legacy mode while
+    // the access token is valid or can still be refreshed
     isAuthenticated() {
-        return !!this.token;
+        if (!this.legacyAuth) {
+            return !!this.firebaseUser;
+        }
+        if (!this.token) {
+            return false;
+        }
+        return !this.isTokenExpiring(0) || !!this.refreshToken;
     }
 }
 
 // Create global API instance
-window.gameAPI = new GameAPI();
+window.gameAPI = new GameAPI(window.GAME_API_CONFIG || {});
+
+// Error types and messages for callers
+window.ApiError = ApiError;
+window.NetworkError = NetworkError;
+window.AuthError = AuthError;
+window.ValidationError = ValidationError;
+window.RateLimitError = RateLimitError;
+window.ServerError = ServerError;
+window.SaveConflictError = SaveConflictError;
+window.getApiErrorMessage = getApiErrorMessage;
+window.showApiError = showApiError;
 
 // Enhanced tracking function that integrates with backend
 window.trackEvent = async function(eventType, eventData = {}) {
@@ -161,26 +871,55 @@ window.trackEvent = async function(eventType, eventData = {}) {
     }
 };
 
-// Auto-save game progress
-window.autoSaveGame = async function(gameData) {
-    if (window.gameAPI.isAuthenticated()) {
-        try {
-            await window.gameAPI.saveGame(gameData);
-            console.log('Game progress saved successfully');
-        } catch (error) {
+// Conflict prompt on screen, so timed auto-saves do not stack a second one
+let saveConflictOpen = false;
+
+// Auto-save game progress. Stays quiet so it can run on a timer, except when another device
+// saved first and the player has to pick a copy. Resolves to { success, save, choice, error,
+// message }; when choice is 'cloud' the game should load save.data.
+window.autoSaveGame = async function(gameData, slot = DEFAULT_SAVE_SLOT) {
+    await window.gameAPI.ready();
+    if (!window.gameAPI.isAuthenticated()) {
+        return { success: false, message: 'Vui lòng đăng nhập để lưu tiến trình!' };
+    }
+    if (saveConflictOpen) {
+        return { success: false, message: 'Đang chờ bạn chọn bản tiến trình để giữ.' };
+    }
+    try {
+        const save = await window.gameAPI.saveGame(gameData, slot);
+        console.log('Game progress saved successfully');
+        return { success: true, save };
+    } catch (error) {
+        if (!(error instanceof SaveConflictError)) {
             console.error('Failed to save game:', error);
+            return { success: false, error, message: getApiErrorMessage(error) };
+        }
+        saveConflictOpen = true;
+        try {
+            const { choice, save } = await window.gameAPI.resolveSaveConflict(error, gameData, slot);
+            return { success: true, save, choice };
+        } catch (resolveError) {
+            console.error('Failed to resolve save conflict:', resolveError);
+            return { success: false, error: resolveError, message: getApiErrorMessage(resolveError) };
+        } finally {
+            saveConflictOpen = false;
         }
     }
 };
 
-// Load game progress on page load
-window.loadGameProgress = async function() {
+// Load game progress on page load. Resolves to the slot's data, or null without a save.
+window.loadGameProgress = async function(slot = DEFAULT_SAVE_SLOT) {
+    await window.gameAPI.ready();
     if (window.gameAPI.isAuthenticated()) {
         try {
-            const gameData = await window.gameAPI.loadGame();
-            return gameData;
+            const save = await window.gameAPI.loadGame(slot);
+            return save.data;
         } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
             console.error('Failed to load game:', error);
+            showApiError(error, 'Không thể tải tiến trình!');
             return null;
         }
     }
@@ -0,0 +1,270 @@
+/**
+ * Farm Preview for Vườn Rực Rỡ
+ * Draws the player's farm from MapInGame.lstTilemapDetail on a canvas, read-only,
+ * with drag to pan and wheel/buttons to zoom.
+ *
+ * The Unity client stores one entry per tile:
+ *   { "x": -3, "y": 5, "tilemapState": 1 }
+ * x/y are Tilemap cell coordinates (y grows upwards) and tilemapState is the
+ * TilemapState enum (as a number or its name). Sprites for each state are
+ * listed in data/farm-tiles.json as source rectangles of the sheets under img/map.
+ */
+
+class FarmPreview {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.tilesURL = options.tilesURL || 'data/farm-tiles.json';
+        this.minZoom = options.minZoom || 0.25;
+        this.maxZoom = options.maxZoom || 4;
+        this.tileset = null;
+        this.images = {};
+        this.map = { tiles: [], skipped: 0, bounds: null };
+        this.view = { x: 0, y: 0, zoom: 1 };
+        this.drag = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+
+        canvas.addEventListener('pointerdown', this.handlePointerDown);
+        canvas.addEventListener('pointermove', this.handlePointerMove);
+        canvas.addEventListener('pointerup', this.handlePointerUp);
+        canvas.addEventListener('pointercancel', this.handlePointerUp);
+        canvas.addEventListener('wheel', this.handleWheel, { passive: false });
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    // Load the tile definitions and their sprite sheets (missing sheets fall back to colors)
+    async loadTileset() {
+        if (this.tileset) {
+            return this.tileset;
+        }
+
+        try {
+            const response = await fetch(this.tilesURL);
+            this.tileset = response.ok ? await response.json() : {};
+        } catch (error) {
+            console.error('Error loading farm tiles:', error);
+            this.tileset = {};
+        }
+        this.tileset.tileSize = this.tileset.tileSize || 32;
+        this.tileset.states = this.tileset.states || {};
+        this.tileset.unknown = this.tileset.unknown || { color: '#95a5a6' };
+
+        const sources = [...new Set(Object.values(this.tileset.states).map(state => state.image).filter(Boolean))];
+        await Promise.all(sources.map(source => FarmPreview.loadImage(source).then(image => {
+            this.images[source] = image;
+        })));
+        return this.tileset;
+    }
+
+    static loadImage(source) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => {
+                console.error(`Error loading farm sprite ${source}`);
+                resolve(null);
+            };
+            image.src = encodeURI(source);
+        });
+    }
+
+    // Turn MapInGame into drawable tiles, skipping malformed entries.
+    // Returns { tiles: [{ x, y, state }], skipped, bounds }.
+    static parseMap(mapInGame) {
+        const result = { tiles: [], skipped: 0, bounds: null };
+        let list = mapInGame && mapInGame.lstTilemapDetail;
+        if (typeof list === 'string') {
+            try {
+                list = JSON.parse(list);
+            } catch (error) {
+                list = null;
+            }
+        }
+        if (!list || typeof list !== 'object') {
+            return result;
+        }
+
+        // The Realtime Database returns sparse arrays as objects
+        const cells = new Map();
+        Object.values(list).forEach(entry => {
+            const valid = entry && typeof entry === 'object' &&
+                typeof entry.x === 'number' && typeof entry.y === 'number';
+            const x = valid ? entry.x : NaN;
+            const y = valid ? entry.y : NaN;
+            if (!Number.isInteger(x) || !Number.isInteger(y)) {
+                result.skipped++;
+                return;
+            }
+            // Later entries for the same cell win, as in the game
+            cells.set(`${x},${y}`, { x, y, state: entry.tilemapState ?? null });
+        });
+
+        result.tiles = [...cells.values()];
+        if (result.tiles.length > 0) {
+            const xs = result.tiles.map(tile => tile.x);
+            const ys = result.tiles.map(tile => tile.y);
+            result.bounds = {
+                minX: Math.min(...xs),
+                maxX: Math.max(...xs),
+                minY: Math.min(...ys),
+                maxY: Math.max(...ys)
+            };
+        }
+        return result;
+    }
+
+    // Show a player's MapInGame. Resolves to the parsed map.
+    async setMap(mapInGame) {
+        await this.loadTileset();
+        this.map = FarmPreview.parseMap(mapInGame);
+        if (this.map.skipped > 0) {
+            console.warn(`Farm preview skipped ${this.map.skipped} malformed tile(s)`);
+        }
+        this.fitToView();
+        return this.map;
+    }
+
+    // Tile definition for a TilemapState value (number or enum name)
+    getStateDefinition(state) {
+        const states = this.tileset.states;
+        if (states[state]) {
+            return states[state];
+        }
+        const byName = Object.values(states).find(definition =>
+            String(definition.name).toLowerCase() === String(state).toLowerCase());
+        return byName || this.tileset.unknown;
+    }
+
+    // Zoom and center so the whole farm is visible
+    fitToView() {
+        this.resizeCanvas();
+        const { bounds } = this.map;
+        if (!bounds) {
+            this.view = { x: 0, y: 0, zoom: 1 };
+            this.render();
+            return;
+        }
+
+        const size = this.tileset.tileSize;
+        const width = (bounds.maxX - bounds.minX + 1) * size;
+        const height = (bounds.maxY - bounds.minY + 1) * size;
+        const zoom = Math.min(this.canvas.width / width, this.canvas.height / height) * 0.9;
+        this.view.zoom = Math.min(Math.max(zoom, this.minZoom), this.maxZoom);
+        this.view.x = (this.canvas.width - width * this.view.zoom) / 2;
+        this.view.y = (this.canvas.height - height * this.view.zoom) / 2;
+        this.render();
+    }
+
+    // Zoom by a factor around a canvas point (defaults to the center)
+    zoomBy(factor, originX = this.canvas.width / 2, originY = this.canvas.height / 2) {
+        const zoom = Math.min(Math.max(this.view.zoom * factor, this.minZoom), this.maxZoom);
+        const scale = zoom / this.view.zoom;
+        this.view.x = originX - (originX - this.view.x) * scale;
+        this.view.y = originY - (originY - this.view.y) * scale;
+        this.view.zoom = zoom;
+        this.render();
+    }
+
+    // Match the backing store to the displayed size for sharp pixels
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (width > 0 && height > 0 && (this.canvas.width !== width || this.canvas.height !== height)) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    render() {
+        const { context, canvas } = this;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.tileset || !this.map.bounds) {
+            return;
+        }
+
+        const size = this.tileset.tileSize;
+        const { minX, maxY } = this.map.bounds;
+        context.setTransform(this.view.zoom, 0, 0, this.view.zoom, this.view.x, this.view.y);
+        context.imageSmoothingEnabled = false;
+
+        // Unity cells grow upwards, canvas rows grow downwards
+        this.map.tiles.forEach(tile => {
+            const left = (tile.x - minX) * size;
+            const top = (maxY - tile.y) * size;
+            const definition = this.getStateDefinition(tile.state);
+            if (definition.base !== undefined) {
+                this.drawTile(this.getStateDefinition(definition.base), left, top, size);
+            }
+            this.drawTile(definition, left, top, size);
+        });
+    }
+
+    drawTile(definition, left, top, size) {
+        const image = definition.image && this.images[definition.image];
+        if (image && definition.rect) {
+            const { x, y, width, height } = definition.rect;
+            this.context.drawImage(image, x, y, width, height, left, top, size, size);
+            return;
+        }
+        this.context.fillStyle = definition.color || '#95a5a6';
+        this.context.fillRect(left, top, size, size);
+    }
+
+    handlePointerDown(event) {
+        this.drag = { x: event.clientX, y: event.clientY };
+        this.canvas.setPointerCapture(event.pointerId);
+        this.canvas.classList.add('dragging');
+    }
+
+    handlePointerMove(event) {
+        if (!this.drag) {
+            return;
+        }
+        const ratio = window.devicePixelRatio || 1;
+        this.view.x += (event.clientX - this.drag.x) * ratio;
+        this.view.y += (event.clientY - this.drag.y) * ratio;
+        this.drag = { x: event.clientX, y: event.clientY };
+        this.render();
+    }
+
+    handlePointerUp(event) {
+        this.drag = null;
+        if (this.canvas.hasPointerCapture(event.pointerId)) {
+            this.canvas.releasePointerCapture(event.pointerId);
+        }
+        this.canvas.classList.remove('dragging');
+    }
+
+    handleWheel(event) {
+        event.preventDefault();
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = window.devicePixelRatio || 1;
+        this.zoomBy(event.deltaY < 0 ? 1.1 : 1 / 1.1,
+            (event.clientX - rect.left) * ratio,
+            (event.clientY - rect.top) * ratio);
+    }
+
+    handleResize() {
+        this.resizeCanvas();
+        this.render();
+    }
+
+    // Remove listeners once the canvas is gone
+    destroy() {
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+        this.canvas.removeEventListener('wheel', this.handleWheel);
+        window.removeEventListener('resize', this.handleResize);
+    }
+}
+
+window.FarmPreview = FarmPreview;
@@ -2,22 +2,51 @@
 import { 
     createUserWithEmailAndPassword,
     signInWithEmailAndPassword,
+    signInWithCustomToken,
+    signInWithCredential,
+    signInAnonymously,
     signOut,
     sendPasswordResetEmail,
     GoogleAuthProvider,
+    EmailAuthProvider,
     signInWithPopup,
+    fetchSignInMethodsForEmail,
+    linkWithCredential,
+    linkWithPopup,
+    unlink,
+    updatePassword,
+    reauthenticateWithCredential,
+    reauthenticateWithPopup,
     updateProfile,
+    sendEmailVerification,
+    verifyPasswordResetCode,
+    confirmPasswordReset,
+    checkActionCode,
+    applyActionCode,
+    reload,
+    setPersistence,
+    browserLocalPersistence,
+    browserSessionPersistence,
+    multiFactor,
+    getMultiFactorResolver,
+    TotpMultiFactorGenerator,
     onAuthStateChanged
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
 import { 
     doc, 
     setDoc, 
     getDoc,
-    collection,
-    query,
-    where,
-    getDocs
+    deleteDoc,
+    runTransaction
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import {
+    getStorage,
+    connectStorageEmulator,
+    ref as storageRef,
+    uploadBytes,
+    getDownloadURL,
+    deleteObject
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
 
 // Wait for Firebase to be initialized
 await new Promise(resolve => {
@@ -33,6 +62,10 @@ await new Promise(resolve => {
 
 const auth = window.firebaseAuth;
 const db = window.firebaseDb;
+const storage = getStorage(window.firebaseApp);
+if (window.firebaseEnv && window.firebaseEnv.useEmulators) {
+    connectStorageEmulator(storage, window.firebaseEnv.host, window.firebaseEnv.ports.storage);
+}
 
 // Google Auth Provider
 const googleProvider = new GoogleAuthProvider();
@@ -40,19 +73,119 @@ googleProvider.setCustomParameters({
     prompt: 'select_account'
 });
 
+// Username logins are resolved by the backend so other players' emails never reach the browser.
+// POST { username, password } -> 200 { custom_token } or 4xx/5xx { error, code }.
+// username is the normalized key of usernames/{key} (see normalizeUsername) and code is a
+// Firebase auth error code (auth/user-not-found, auth/wrong-password, auth/too-many-requests...).
+// Custom tokens skip the second factor, so accounts with two-factor authentication must be
+// refused with code auth/multi-factor-username-login.
+const USERNAME_LOGIN_URL = window.USERNAME_LOGIN_URL || `${window.location.origin}/api/auth/username-login`;
+
+// One document per taken username: usernames/{normalized username} -> { uid, username, createdAt }
+const USERNAMES_COLLECTION = 'usernames';
+
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 20;
+
+// Usernames nobody may register (compared after normalization)
+const RESERVED_USERNAMES = [
+    'admin', 'administrator', 'root', 'system', 'support', 'hotro', 'moderator', 'mod',
+    'gm', 'gamemaster', 'staff', 'official', 'chinhthuc', 'quantri', 'quantrivien',
+    'firebase', 'api', 'null', 'undefined', 'guest', 'khach', 'test'
+];
+// Parts that would let a name pass for the team
+const RESERVED_USERNAME_PARTS = ['admin', 'moderator', 'quantri', 'vuonrucro', 'langhoaruc'];
+
+// Seconds between two verification emails (kept across reloads)
+const VERIFICATION_RESEND_COOLDOWN = 60;
+const VERIFICATION_SENT_KEY_PREFIX = 'langhoaruc_verification_sent';
+
+// Email action links (reset password, verify/recover email) are handled on this page.
+// The Firebase console's email templates must use this page as their custom action URL.
+function getActionCodeSettings() {
+    return {
+        url: `${window.location.origin}${window.location.pathname}`
+    };
+}
+
+// Avatars are cropped to a square and stored at avatars/{uid}/avatar.jpg
+const AVATAR_SIZE = 256;
+const AVATAR_MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const MAX_DISPLAY_NAME_LENGTH = 50;
+
+// Text the player types to confirm account deletion
+const DELETE_CONFIRMATION_TEXT = 'XOA TAI KHOAN';
+
+// Sessions without "remember me" end with the tab and after this much inactivity
+const IDLE_TIMEOUT_MINUTES = 30;
+const SESSION_ONLY_KEY = 'langhoaruc_session_only';
+const LAST_ACTIVITY_KEY = 'langhoaruc_last_activity';
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+// Revokes every refresh token of the signed-in user (Authorization: Bearer <Firebase ID token>).
+// Other devices stay signed in until their current ID token expires (at most one hour).
+const REVOKE_SESSIONS_URL = window.REVOKE_SESSIONS_URL || `${window.location.origin}/api/auth/revoke-sessions`;
+
+// Two-factor authentication with an authenticator app (TOTP)
+const TOTP_ISSUER = 'Vườn Rực Rỡ';
+const TOTP_FACTOR_NAME = 'Ứng dụng xác thực';
+const TOTP_CODE_LENGTH = 6;
+
+// Single-use recovery codes that turn two-factor authentication off when the authenticator
+// is lost. Only salted hashes are stored: mfaRecovery/{uid} -> { hashes, createdAt }
+const MFA_RECOVERY_COLLECTION = 'mfaRecovery';
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// The backend checks a recovery code against those hashes, consumes it and removes the TOTP factor.
+// POST { email | username, code } -> 200 { success } or 4xx/5xx { error, code }
+const MFA_RECOVER_URL = window.MFA_RECOVER_URL || `${window.location.origin}/api/auth/mfa-recover`;
+
+// Guest play (anonymous sessions). Guests keep their check-ins and rewards under their uid and
+// upgrading to an email or Google account links it to the same uid, so nothing is lost.
+// - Guests may check in; promo codes and make-up check-ins (spending diamonds) need an account
+// - Guest data is kept GUEST_DATA_TTL_DAYS after the last visit (users/{uid}.guestExpiresAt);
+//   scripts/cleanup-guests.mjs (run daily) deletes it after that, and so does this page if the
+//   session comes back
+// - Signing out of a guest session deletes its data right away (it cannot be reached again)
+// - Signing in to an existing account does not merge: the guest data stays behind and expires
+const GUEST_DATA_TTL_DAYS = 30;
+
+// Sign-in methods the site can link to an account
+const SIGN_IN_PROVIDERS = {
+    'password': { label: 'Email và mật khẩu', icon: 'fas fa-envelope' },
+    'google.com': { label: 'Google', icon: 'fab fa-google' }
+};
+
 // Auth State Management
 let currentUser = null;
 
+// Google credential waiting to be linked once the user signs in with their original method
+let pendingLink = null;
+
+// Sign-in waiting for its second factor: { resolver, hint, identifier, remember }
+let pendingSecondFactor = null;
+
+// TOTP secret between showing the QR code and confirming the first code
+let pendingTotpSecret = null;
+
 // Listen for auth state changes
 onAuthStateChanged(auth, (user) => {
     currentUser = user;
     if (user) {
-        console.log('User signed in:', user.email);
+        console.log('User signed in:', user.isAnonymous ? 'guest' : user.email);
         updateUIForLoggedInUser(user);
+        startIdleWatch();
+        if (user.isAnonymous) {
+            refreshGuestSession(user);
+        }
     } else {
         console.log('User signed out');
         updateUIForLoggedOutUser();
+        stopIdleWatch();
     }
+    updateVerificationBanner();
 });
 
 // Show loading state
@@ -108,33 +241,495 @@ function showSuccess(message, formId) {
     }, 3000);
 }
 
-// Check if username exists
+// Canonical form used for uniqueness: lower case, no Vietnamese diacritics, no whitespace
+function normalizeUsername(username) {
+    return String(username || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D')
+        .toLowerCase()
+        .replace(/\s+/g, '');
+}
+
+// Returns an error message for an unusable username, or null if it is fine
+function validateUsername(username) {
+    const key = normalizeUsername(username);
+    if (key.length < USERNAME_MIN_LENGTH) {
+        return `Tên đăng nhập phải có ít nhất ${USERNAME_MIN_LENGTH} ký tự!`;
+    }
+    if (key.length > USERNAME_MAX_LENGTH) {
+        return `Tên đăng nhập chỉ được tối đa ${USERNAME_MAX_LENGTH} ký tự!`;
+    }
+    if (!/^[a-z0-9._]+$/.test(key)) {
+        return 'Tên đăng nhập chỉ được chứa chữ cái, chữ số, dấu chấm và dấu gạch dưới!';
+    }
+    if (RESERVED_USERNAMES.includes(key) || RESERVED_USERNAME_PARTS.some(part => key.includes(part))) {
+        return 'Tên đăng nhập này đã được hệ thống giữ lại, vui lòng chọn tên khác!';
+    }
+    return null;
+}
+
+// Check if username exists. Errors are thrown, never reported as "available".
 async function checkUsernameExists(username) {
+    const key = normalizeUsername(username);
+    // Reservations are the only record: firestore.rules keeps profiles private, and usernames
+    // from before reservations existed are moved into usernames/ by scripts/backfill-usernames.mjs
+    const reservation = await getDoc(doc(db, USERNAMES_COLLECTION, key));
+    return reservation.exists();
+}
+
+// Claim a username and write the profile in one transaction.
+// Throws auth/username-already-in-use if someone else holds the username.
+async function reserveUsernameWithProfile(user, username, userData) {
+    const key = normalizeUsername(username);
+    const reservationRef = doc(db, USERNAMES_COLLECTION, key);
+    const userRef = doc(db, 'users', user.uid);
+
+    await runTransaction(db, async (transaction) => {
+        const reservation = await transaction.get(reservationRef);
+        if (reservation.exists() && reservation.data().uid !== user.uid) {
+            const error = new Error('Username already reserved');
+            error.code = 'auth/username-already-in-use';
+            throw error;
+        }
+
+        transaction.set(reservationRef, {
+            uid: user.uid,
+            username,
+            createdAt: new Date().toISOString()
+        });
+        transaction.set(userRef, {
+            ...userData,
+            username,
+            usernameKey: key
+        }, { merge: true });
+    });
+    return key;
+}
+
+// Undo a half-finished registration so the username and email can be used again
+async function releaseRegistration(user, usernameKey) {
+    if (usernameKey) {
+        try {
+            await deleteDoc(doc(db, USERNAMES_COLLECTION, usernameKey));
+            await deleteDoc(doc(db, 'users', user.uid));
+        } catch (error) {
+            console.error('Error releasing username reservation:', error);
+        }
+    }
+    try {
+        await user.delete();
+    } catch (error) {
+        console.error('Error deleting incomplete account:', error);
+    }
+}
+
+// Sign in with a username: the backend checks the password and returns a custom token
+// Only a rejected sign-in means wrong credentials; any other status (a missing endpoint,
+// a proxy error, an answer without a token) means the service itself is not working
+function getUsernameLoginErrorCode(response) {
+    if ([400, 401, 403].includes(response.status)) {
+        return 'auth/invalid-credential';
+    }
+    if (response.status === 429) {
+        return 'auth/too-many-requests';
+    }
+    return 'auth/username-login-unavailable';
+}
+
+async function signInWithUsername(username, password) {
+    let response;
+    try {
+        response = await fetch(USERNAME_LOGIN_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+    } catch (networkError) {
+        const error = new Error('Username login request failed');
+        error.code = 'auth/network-request-failed';
+        throw error;
+    }
+
+    let data = {};
+    try {
+        data = await response.json();
+    } catch (parseError) {
+        // Non-JSON body, handled below by status
+    }
+
+    if (!response.ok || !data.custom_token) {
+        const error = new Error(data.error || 'Username login failed');
+        error.code = data.code || getUsernameLoginErrorCode(response);
+        throw error;
+    }
+
+    return signInWithCustomToken(auth, data.custom_token);
+}
+
+// Profile fields written to Firestore users/{uid}
+function buildUserData(user, additionalData = {}) {
+    return {
+        uid: user.uid,
+        email: user.email,
+        displayName: user.displayName || additionalData.fullname || '',
+        createdAt: new Date().toISOString(),
+        lastLogin: new Date().toISOString(),
+        provider: additionalData.provider || 'email',
+        ...additionalData
+    };
+}
+
+function getActionCodeErrorMessage(error) {
+    switch (error.code) {
+        case 'auth/expired-action-code':
+            return 'Liên kết đã hết hạn. Vui lòng yêu cầu liên kết mới!';
+        case 'auth/invalid-action-code':
+            return 'Liên kết không hợp lệ hoặc đã được sử dụng!';
+        case 'auth/user-disabled':
+            return 'Tài khoản đã bị khóa!';
+        case 'auth/user-not-found':
+            return 'Không tìm thấy tài khoản!';
+        case 'auth/weak-password':
+            return 'Mật khẩu quá yếu! Vui lòng chọn mật khẩu mạnh hơn.';
+        case 'auth/network-request-failed':
+            return 'Không thể kết nối máy chủ. Vui lòng kiểm tra mạng!';
+        default:
+            return 'Đã có lỗi xảy ra khi xử lý liên kết!';
+    }
+}
+
+function getMfaErrorMessage(error) {
+    switch (error.code) {
+        case 'auth/invalid-verification-code':
+            return 'Mã xác thực không đúng! Vui lòng kiểm tra lại ứng dụng xác thực.';
+        case 'auth/code-expired':
+            return 'Mã xác thực đã hết hạn! Vui lòng nhập mã mới đang hiển thị trong ứng dụng.';
+        case 'auth/missing-code':
+            return 'Vui lòng nhập mã xác thực!';
+        case 'auth/invalid-multi-factor-session':
+        case 'auth/missing-multi-factor-session':
+            return 'Phiên xác thực đã hết hạn. Vui lòng thực hiện lại từ đầu!';
+        case 'auth/unverified-email':
+            return 'Vui lòng xác minh email trước khi bật xác thực hai lớp!';
+        case 'auth/second-factor-already-in-use':
+            return 'Ứng dụng xác thực này đã được thêm vào tài khoản!';
+        case 'auth/maximum-second-factor-count-exceeded':
+            return 'Tài khoản đã có quá nhiều phương thức xác thực hai lớp!';
+        case 'auth/wrong-password':
+        case 'auth/invalid-credential':
+            return 'Mật khẩu không đúng!';
+        case 'auth/requires-recent-login':
+            return 'Vui lòng đăng xuất và đăng nhập lại trước khi thay đổi xác thực hai lớp!';
+        case 'auth/popup-closed-by-user':
+            return 'Đã hủy xác nhận!';
+        case 'auth/too-many-requests':
+            return 'Quá nhiều lần thử. Vui lòng thử lại sau!';
+        case 'auth/network-request-failed':
+            return 'Không thể kết nối máy chủ. Vui lòng kiểm tra mạng!';
+        default:
+            return 'Đã có lỗi xảy ra! Vui lòng thử lại.';
+    }
+}
+
+// The pending sign-in or enrollment can no longer be completed
+function isMultiFactorSessionError(error) {
+    return ['auth/invalid-multi-factor-session', 'auth/missing-multi-factor-session'].includes(error.code);
+}
+
+function normalizeTotpCode(code) {
+    return String(code || '').replace(/\D/g, '');
+}
+
+// Recovery codes are compared uppercase without separators, e.g. "ABCDE-FGH23" -> "ABCDEFGH23"
+function normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Ten characters from a 32-letter alphabet (about 50 bits), shown as XXXXX-XXXXX
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const bytes = crypto.getRandomValues(new Uint8Array(10));
+        const code = Array.from(bytes, byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]).join('');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+}
+
+// SHA-256 of "{uid}:{normalized code}" as hex; the backend hashes the same way
+async function hashRecoveryCode(uid, code) {
+    const data = new TextEncoder().encode(`${uid}:${normalizeRecoveryCode(code)}`);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Store hashes of a fresh set of recovery codes and return the codes to show once
+async function saveRecoveryCodes(uid) {
+    const codes = generateRecoveryCodes();
+    const hashes = await Promise.all(codes.map(code => hashRecoveryCode(uid, code)));
+    await setDoc(doc(db, MFA_RECOVERY_COLLECTION, uid), {
+        hashes,
+        createdAt: new Date().toISOString()
+    });
+    return codes;
+}
+
+function getProviderErrorMessage(error) {
+    switch (error.code) {
+        case 'auth/wrong-password':
+        case 'auth/invalid-credential':
+            return 'Mật khẩu không đúng!';
+        case 'auth/credential-already-in-use':
+            return 'Tài khoản Google này đã được liên kết với một tài khoản khác!';
+        case 'auth/provider-already-linked':
+            return 'Phương thức đăng nhập này đã được liên kết!';
+        case 'auth/no-such-provider':
+            return 'Phương thức đăng nhập này chưa được liên kết!';
+        case 'auth/email-already-in-use':
+            return 'Email này đã được dùng cho một tài khoản khác!';
+        case 'auth/weak-password':
+            return 'Mật khẩu quá yếu! Vui lòng chọn mật khẩu mạnh hơn.';
+        case 'auth/requires-recent-login':
+            return 'Vui lòng đăng xuất và đăng nhập lại trước khi thay đổi phương thức đăng nhập!';
+        case 'auth/multi-factor-auth-required':
+            return 'Tài khoản đã bật xác thực hai lớp. Hãy đăng nhập bằng mật khẩu rồi liên kết Google trong "Phương thức đăng nhập"!';
+        case 'auth/invalid-verification-code':
+        case 'auth/code-expired':
+        case 'auth/missing-code':
+            return getMfaErrorMessage(error);
+        case 'auth/popup-closed-by-user':
+            return 'Đã hủy liên kết!';
+        case 'auth/popup-blocked':
+            return 'Popup bị chặn! Vui lòng cho phép popup và thử lại.';
+        case 'auth/too-many-requests':
+            return 'Quá nhiều lần thử. Vui lòng thử lại sau!';
+        default:
+            return 'Đã có lỗi xảy ra! Vui lòng thử lại.';
+    }
+}
+
+// Crop the middle square of an image and scale it to AVATAR_SIZE as a JPEG blob
+function resizeAvatar(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const side = Math.min(image.naturalWidth, image.naturalHeight);
+            const canvas = document.createElement('canvas');
+            canvas.width = AVATAR_SIZE;
+            canvas.height = AVATAR_SIZE;
+            canvas.getContext('2d').drawImage(
+                image,
+                (image.naturalWidth - side) / 2,
+                (image.naturalHeight - side) / 2,
+                side,
+                side,
+                0,
+                0,
+                AVATAR_SIZE,
+                AVATAR_SIZE
+            );
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode avatar'))), 'image/jpeg', 0.85);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not read image'));
+        };
+        image.src = url;
+    });
+}
+
+// Drop the site's per-user caches (check-in ledger, grant outbox, ...) for a uid
+function clearLocalUserData(uid) {
+    Object.keys(localStorage)
+        .filter(key => key.startsWith('langhoaruc_') && key.endsWith(`_${uid}`))
+        .forEach(key => localStorage.removeItem(key));
+}
+
+function getGuestExpiry() {
+    return new Date(Date.now() + GUEST_DATA_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Every visit keeps guest data for another GUEST_DATA_TTL_DAYS; a session that comes back
+// after its data expired starts over
+async function refreshGuestSession(user) {
+    const userRef = doc(db, 'users', user.uid);
+    try {
+        const profile = await getDoc(userRef);
+        const expiresAt = profile.exists() ? profile.data().guestExpiresAt : null;
+        if (expiresAt && new Date(expiresAt) < new Date()) {
+            await deleteGuestData(user);
+            Swal.fire({
+                icon: 'info',
+                title: 'Phiên chơi khách đã hết hạn',
+                text: `Dữ liệu khách chỉ được giữ ${GUEST_DATA_TTL_DAYS} ngày kể từ lần ghé thăm cuối. Hãy tạo tài khoản để lưu tiến trình lâu dài!`,
+                confirmButtonColor: '#4a90e2'
+            });
+            return;
+        }
+
+        await setDoc(userRef, {
+            uid: user.uid,
+            provider: 'anonymous',
+            isGuest: true,
+            lastLogin: new Date().toISOString(),
+            guestExpiresAt: getGuestExpiry()
+        }, { merge: true });
+    } catch (error) {
+        console.error('Error refreshing guest session:', error);
+    }
+}
+
+// Delete a guest's data and the anonymous account itself (which signs it out)
+async function deleteGuestData(user) {
+    if (window.playerProfile) {
+        await window.playerProfile.deletePlayerData(user.uid);
+    }
+    await deleteDoc(doc(db, 'users', user.uid));
+    clearLocalUserData(user.uid);
+    try {
+        await user.delete();
+    } catch (error) {
+        // Old anonymous sessions cannot re-authenticate; scripts/cleanup-guests.mjs removes the empty account
+        console.error('Error deleting guest account:', error);
+        await signOut(auth);
+    }
+}
+
+const GUEST_SWITCH_NOTICE = 'Tiến trình chơi khách không được chuyển sang tài khoản này.';
+
+// After linking: carry the new name into the game record and refresh the navbar
+async function finishGuestUpgrade(user) {
+    if (window.playerProfile && user.displayName) {
+        await window.playerProfile.setName(user.uid, user.displayName);
+    }
+    updateUIForLoggedInUser(user);
+    updateVerificationBanner();
+}
+
+// Profile fields that turn a guest profile into a regular one
+const GUEST_UPGRADE_FIELDS = {
+    isGuest: false,
+    guestExpiresAt: null
+};
+
+// Undo a failed guest upgrade: the guest keeps playing, without the half-added password
+async function releaseGuestUpgrade(user, usernameKey) {
+    if (usernameKey) {
+        try {
+            await deleteDoc(doc(db, USERNAMES_COLLECTION, usernameKey));
+        } catch (error) {
+            console.error('Error releasing username reservation:', error);
+        }
+    }
     try {
-        const usersRef = collection(db, 'users');
-        const q = query(usersRef, where('username', '==', username));
-        const querySnapshot = await getDocs(q);
-        return !querySnapshot.empty;
+        await unlink(user, 'password');
     } catch (error) {
-        console.error('Error checking username:', error);
+        console.error('Error unlinking password from guest:', error);
+    }
+}
+
+// "Remember me" keeps the session in local storage; otherwise it ends with the tab
+// and the idle timeout applies. Runs only once a sign-in has succeeded (setPersistence
+// moves the signed-in user to the chosen storage), so a failed attempt leaves the
+// current session as it was.
+async function applyRememberChoice(remember) {
+    await setPersistence(auth, remember ? browserLocalPersistence : browserSessionPersistence);
+    if (remember) {
+        sessionStorage.removeItem(SESSION_ONLY_KEY);
+    } else {
+        sessionStorage.setItem(SESSION_ONLY_KEY, '1');
+        recordActivity();
+    }
+    // The auth listener may have started (or skipped) the idle watch before the choice was stored
+    startIdleWatch();
+}
+
+let idleCheckTimer = null;
+let lastActivityWrite = 0;
+
+function recordActivity() {
+    // Activity events fire constantly; writing once every few seconds is enough
+    const now = Date.now();
+    if (now - lastActivityWrite > 5000) {
+        lastActivityWrite = now;
+        sessionStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+    }
+}
+
+// Sign out session-only users after IDLE_TIMEOUT_MINUTES without activity
+function startIdleWatch() {
+    stopIdleWatch();
+    if (sessionStorage.getItem(SESSION_ONLY_KEY) !== '1') {
+        return;
+    }
+
+    if (!sessionStorage.getItem(LAST_ACTIVITY_KEY)) {
+        recordActivity();
+    }
+    ACTIVITY_EVENTS.forEach(eventName => window.addEventListener(eventName, recordActivity, { passive: true }));
+    idleCheckTimer = setInterval(async () => {
+        const lastActivity = parseInt(sessionStorage.getItem(LAST_ACTIVITY_KEY), 10) || 0;
+        if (Date.now() - lastActivity < IDLE_TIMEOUT_MINUTES * 60 * 1000) {
+            return;
+        }
+
+        stopIdleWatch();
+        await signOut(auth);
+        Swal.fire({
+            icon: 'info',
+            title: 'Phiên đăng nhập đã kết thúc',
+            text: `Bạn đã được đăng xuất sau ${IDLE_TIMEOUT_MINUTES} phút không hoạt động.`,
+            confirmButtonText: 'Đăng nhập lại',
+            confirmButtonColor: '#4a90e2'
+        }).then(result => {
+            if (result.isConfirmed && window.openLoginModal) {
+                window.openLoginModal();
+            }
+        });
+    }, 30 * 1000);
+}
+
+function stopIdleWatch() {
+    clearInterval(idleCheckTimer);
+    idleCheckTimer = null;
+    ACTIVITY_EVENTS.forEach(eventName => window.removeEventListener(eventName, recordActivity));
+}
+
+// Google accounts come with a verified address. database.rules.json enforces the same gate:
+// until then an account cannot write check-ins, new inbox items or a higher Diamond balance
+// (which also rules out the old string-encoded Users record, whose balance rules cannot read).
+function isAccountVerified(user) {
+    if (!user) {
         return false;
     }
+    return user.emailVerified || user.providerData.some(provider => provider.providerId === 'google.com');
+}
+
+function getVerificationSentKey(user) {
+    return `${VERIFICATION_SENT_KEY_PREFIX}_${user.uid}`;
+}
+
+function markVerificationSent(user) {
+    localStorage.setItem(getVerificationSentKey(user), String(Date.now()));
+}
+
+// Seconds left before another verification email may be sent
+function getVerificationCooldown(user) {
+    if (!user) {
+        return 0;
+    }
+    const sentAt = parseInt(localStorage.getItem(getVerificationSentKey(user)), 10) || 0;
+    const remaining = VERIFICATION_RESEND_COOLDOWN - Math.floor((Date.now() - sentAt) / 1000);
+    return Math.max(remaining, 0);
 }
 
 // Save user data to Firestore
 async function saveUserData(user, additionalData = {}) {
     try {
         const userRef = doc(db, 'users', user.uid);
-        const userData = {
-            uid: user.uid,
-            email: user.email,
-            displayName: user.displayName || additionalData.fullname || '',
-            username: additionalData.username || '',
-            createdAt: new Date().toISOString(),
-            lastLogin: new Date().toISOString(),
-            provider: additionalData.provider || 'email',
-            ...additionalData
-        };
+        const userData = buildUserData(user, additionalData);
         
         await setDoc(userRef, userData, { merge: true });
         console.log('User data saved successfully');
@@ -147,39 +742,74 @@ async function saveUserData(user, additionalData = {}) {
 export const firebaseAuth = {
     // Register with email and password
     async register(email, password, fullname, username) {
+        const guest = this.isGuest() ? currentUser : null;
+        let user = null;
+        let usernameKey = null;
         try {
-            // Check if username already exists
-            const usernameExists = await checkUsernameExists(username);
+            const displayUsername = String(username || '').trim().replace(/\s+/g, ' ');
+            const invalidReason = validateUsername(displayUsername);
+            if (invalidReason) {
+                throw new Error(invalidReason);
+            }
+
+            // Early answer for the common case; the transaction below is what guarantees uniqueness
+            const usernameExists = await checkUsernameExists(displayUsername);
             if (usernameExists) {
                 throw new Error('Tên đăng nhập đã tồn tại!');
             }
 
-            const userCredential = await createUserWithEmailAndPassword(auth, email, password);
-            const user = userCredential.user;
+            // A guest keeps its uid (and so its progress) by linking the new credential
+            const userCredential = guest
+                ? await linkWithCredential(guest, EmailAuthProvider.credential(email, password))
+                : await createUserWithEmailAndPassword(auth, email, password);
+            user = userCredential.user;
+            // New accounts sign in on this device until they log out
+            await applyRememberChoice(true);
+            
+            // Reserve the username together with the profile
+            usernameKey = await reserveUsernameWithProfile(user, displayUsername, buildUserData(user, {
+                fullname,
+                provider: 'email',
+                ...(guest ? GUEST_UPGRADE_FIELDS : {})
+            }));
             
             // Update user profile
             await updateProfile(user, {
                 displayName: fullname
             });
+            if (guest) {
+                await finishGuestUpgrade(user);
+            }
             
-            // Save additional user data
-            await saveUserData(user, {
-                fullname,
-                username,
-                provider: 'email'
-            });
+            // A failed send is not fatal: the banner offers to resend
+            try {
+                await sendEmailVerification(user, getActionCodeSettings());
+                markVerificationSent(user);
+            } catch (verificationError) {
+                console.error('Error sending verification email:', verificationError);
+            }
             
             return {
                 success: true,
                 user: user,
-                message: 'Đăng ký thành công!'
+                message: 'Đăng ký thành công!',
+                guestNotice: guest ? 'Tiến trình chơi khách đã được giữ lại trong tài khoản mới.' : null
             };
         } catch (error) {
             console.error('Registration error:', error);
+            if (user && guest) {
+                await releaseGuestUpgrade(user, usernameKey);
+            } else if (user) {
+                await releaseRegistration(user, usernameKey);
+            }
             let message = 'Đã có lỗi xảy ra khi đăng ký!';
             
             switch (error.code) {
+                case 'auth/username-already-in-use':
+                    message = 'Tên đăng nhập đã tồn tại!';
+                    break;
                 case 'auth/email-already-in-use':
+                case 'auth/credential-already-in-use':
                     message = 'Email này đã được sử dụng!';
                     break;
                 case 'auth/invalid-email':
@@ -195,16 +825,26 @@ export const firebaseAuth = {
             
             return {
                 success: false,
-                message: error.message || message
+                message: error.code ? message : (error.message || message)
             };
         }
     },
 
-    // Login with email and password
-    async login(email, password) {
+    // Login with email or username and password.
+    // remember = false keeps the session for this tab only (see applyRememberChoice).
+    async login(identifier, password, remember = true) {
+        const value = String(identifier || '').trim();
+        const isEmail = value.includes('@');
+        const field = isEmail ? 'email' : 'tên đăng nhập';
+
+        const wasGuest = this.isGuest();
+
         try {
-            const userCredential = await signInWithEmailAndPassword(auth, email, password);
+            const userCredential = isEmail
+                ? await signInWithEmailAndPassword(auth, value, password)
+                : await signInWithUsername(normalizeUsername(value), password);
             const user = userCredential.user;
+            await applyRememberChoice(remember);
             
             // Update last login
             await saveUserData(user, {
@@ -214,28 +854,47 @@ export const firebaseAuth = {
             return {
                 success: true,
                 user: user,
-                message: 'Đăng nhập thành công!'
+                message: 'Đăng nhập thành công!',
+                guestNotice: wasGuest ? GUEST_SWITCH_NOTICE : null
             };
         } catch (error) {
             console.error('Login error:', error);
+            if (error.code === 'auth/multi-factor-auth-required') {
+                return this.prepareSecondFactor(error, value, remember);
+            }
             let message = 'Đã có lỗi xảy ra khi đăng nhập!';
             
             switch (error.code) {
                 case 'auth/user-not-found':
-                    message = 'Không tìm thấy tài khoản với email này!';
+                    message = `Không tìm thấy tài khoản với ${field} này!`;
                     break;
                 case 'auth/wrong-password':
                     message = 'Mật khẩu không đúng!';
                     break;
+                case 'auth/invalid-credential':
+                    message = isEmail ? 'Email hoặc mật khẩu không đúng!' : 'Tên đăng nhập hoặc mật khẩu không đúng!';
+                    break;
                 case 'auth/invalid-email':
                     message = 'Email không hợp lệ!';
                     break;
+                case 'auth/invalid-username':
+                    message = 'Tên đăng nhập không hợp lệ!';
+                    break;
+                case 'auth/multi-factor-username-login':
+                    message = 'Tài khoản đã bật xác thực hai lớp. Vui lòng đăng nhập bằng email!';
+                    break;
+                case 'auth/username-login-unavailable':
+                    message = 'Đăng nhập bằng tên đăng nhập tạm thời không khả dụng. Vui lòng đăng nhập bằng email!';
+                    break;
                 case 'auth/user-disabled':
                     message = 'Tài khoản đã bị khóa!';
                     break;
                 case 'auth/too-many-requests':
                     message = 'Quá nhiều lần thử. Vui lòng thử lại sau!';
                     break;
+                case 'auth/network-request-failed':
+                    message = 'Không thể kết nối máy chủ. Vui lòng kiểm tra mạng!';
+                    break;
             }
             
             return {
@@ -246,24 +905,48 @@ export const firebaseAuth = {
     },
 
     // Login with Google
-    async loginWithGoogle() {
+    // A guest links Google to its uid instead, keeping its progress.
+    async loginWithGoogle(remember = true) {
+        const guest = this.isGuest() ? currentUser : null;
         try {
-            const result = await signInWithPopup(auth, googleProvider);
+            const result = guest
+                ? await linkWithPopup(guest, googleProvider)
+                : await signInWithPopup(auth, googleProvider);
             const user = result.user;
+            await applyRememberChoice(remember);
             
             // Save user data
             await saveUserData(user, {
                 provider: 'google',
-                lastLogin: new Date().toISOString()
+                lastLogin: new Date().toISOString(),
+                ...(guest ? GUEST_UPGRADE_FIELDS : {})
             });
+            if (guest) {
+                const googleProfile = user.providerData.find(provider => provider.providerId === 'google.com');
+                await updateProfile(user, {
+                    displayName: googleProfile.displayName,
+                    photoURL: googleProfile.photoURL
+                });
+                await finishGuestUpgrade(user);
+            }
             
             return {
                 success: true,
                 user: user,
-                message: 'Đăng nhập Google thành công!'
+                message: 'Đăng nhập Google thành công!',
+                guestNotice: guest ? 'Tiến trình chơi khách đã được lưu vào tài khoản Google của bạn.' : null
             };
         } catch (error) {
             console.error('Google login error:', error);
+            if (error.code === 'auth/account-exists-with-different-credential') {
+                return this.prepareAccountLinking(error, remember);
+            }
+            if (guest && error.code === 'auth/credential-already-in-use') {
+                return this.switchFromGuest(GoogleAuthProvider.credentialFromError(error), remember);
+            }
+            if (error.code === 'auth/multi-factor-auth-required') {
+                return this.prepareSecondFactor(error, error.customData && error.customData.email, remember);
+            }
             let message = 'Đã có lỗi xảy ra khi đăng nhập Google!';
             
             switch (error.code) {
@@ -273,11 +956,11 @@ export const firebaseAuth = {
                 case 'auth/popup-blocked':
                     message = 'Popup bị chặn! Vui lòng cho phép popup và thử lại.';
                     break;
-                case 'auth/account-exists-with-different-credential':
-                    message = 'Tài khoản đã tồn tại với phương thức đăng nhập khác!';
+                case 'auth/email-already-in-use':
+                    message = 'Email của tài khoản Google này đã được đăng ký. Vui lòng đăng nhập bằng email và mật khẩu!';
                     break;
             }
-            
+
             return {
                 success: false,
                 message: message
@@ -285,81 +968,756 @@ export const firebaseAuth = {
         }
     },
 
-    // Reset password
-    async resetPassword(email) {
+    // The guest picked a Google account that already has a profile: sign in to it
+    async switchFromGuest(credential, remember = true) {
         try {
-            await sendPasswordResetEmail(auth, email);
+            const userCredential = await signInWithCredential(auth, credential);
+            await applyRememberChoice(remember);
+            await saveUserData(userCredential.user, {
+                lastLogin: new Date().toISOString()
+            });
             return {
                 success: true,
-                message: 'Email khôi phục mật khẩu đã được gửi!'
+                user: userCredential.user,
+                message: 'Đăng nhập Google thành công!',
+                guestNotice: GUEST_SWITCH_NOTICE
             };
         } catch (error) {
-            console.error('Password reset error:', error);
-            let message = 'Đã có lỗi xảy ra khi gửi email!';
-            
-            switch (error.code) {
-                case 'auth/user-not-found':
-                    message = 'Không tìm thấy tài khoản với email này!';
-                    break;
-                case 'auth/invalid-email':
-                    message = 'Email không hợp lệ!';
-                    break;
+            console.error('Google login error:', error);
+            if (error.code === 'auth/multi-factor-auth-required') {
+                return this.prepareSecondFactor(error, error.customData && error.customData.email, remember);
             }
-            
             return {
                 success: false,
-                message: message
+                message: 'Đã có lỗi xảy ra khi đăng nhập Google!'
             };
         }
     },
 
-    // Logout
-    async logout() {
+    // Play without an account. The anonymous session is remembered on this device.
+    async playAsGuest() {
         try {
-            await signOut(auth);
+            const userCredential = await signInAnonymously(auth);
+            await applyRememberChoice(true);
             return {
                 success: true,
-                message: 'Đăng xuất thành công!'
+                user: userCredential.user,
+                message: `Dữ liệu khách được giữ ${GUEST_DATA_TTL_DAYS} ngày kể từ lần ghé thăm cuối. Tạo tài khoản bất cứ lúc nào để lưu tiến trình!`
             };
         } catch (error) {
-            console.error('Logout error:', error);
+            console.error('Guest login error:', error);
+            let message = 'Không thể bắt đầu chơi với tư cách khách!';
+
+            switch (error.code) {
+                case 'auth/operation-not-allowed':
+                case 'auth/admin-restricted-operation':
+                    message = 'Chế độ chơi khách chưa được kích hoạt!';
+                    break;
+                case 'auth/too-many-requests':
+                    message = 'Quá nhiều lần thử. Vui lòng thử lại sau!';
+                    break;
+                case 'auth/network-request-failed':
+                    message = 'Không thể kết nối máy chủ. Vui lòng kiểm tra mạng!';
+                    break;
+            }
+
             return {
                 success: false,
-                message: 'Đã có lỗi xảy ra khi đăng xuất!'
+                message: message
             };
         }
     },
 
-    // Get current user
-    getCurrentUser() {
-        return currentUser;
+    isGuest() {
+        return !!currentUser && currentUser.isAnonymous;
     },
 
-    // Check if user is logged in
-    isLoggedIn() {
-        return currentUser !== null;
-    }
-};
+    // Keep the resolver from a multi-factor error so the second step can finish the sign-in.
+    // Resolves to { success: false, needsSecondFactor, identifier, message }.
+    prepareSecondFactor(error, identifier, remember = true) {
+        const resolver = getMultiFactorResolver(auth, error);
+        const hint = resolver.hints.find(item => item.factorId === TotpMultiFactorGenerator.FACTOR_ID);
+        if (!hint) {
+            return {
+                success: false,
+                message: 'Phương thức xác thực hai lớp của tài khoản này chưa được hỗ trợ!'
+            };
+        }
 
-// UI Update functions
-function updateUIForLoggedInUser(user) {
-    // Update login button to show user info
-    const loginBtn = document.querySelector('.login-btn');
-    if (loginBtn) {
-        loginBtn.innerHTML = `
-            <img src="${user.photoURL || 'img/logo/ChatGPT Image 13_27_39 3 thg 9, 2025.png'}" 
-                 alt="Avatar" class="user-avatar">
-            <span>${user.displayName || user.email}</span>
-            <i class="fas fa-chevron-down"></i>
-        `;
-        loginBtn.onclick = () => showUserMenu();
-    }
-    
-    // Close any open modals
-    closeAllModals();
-}
+        pendingSecondFactor = { resolver, hint, identifier: identifier || '', remember };
+        return {
+            success: false,
+            needsSecondFactor: true,
+            identifier: identifier || '',
+            message: `Nhập mã ${TOTP_CODE_LENGTH} số trong ứng dụng xác thực để hoàn tất đăng nhập.`
+        };
+    },
 
-function updateUIForLoggedOutUser() {
+    // Finish a pending sign-in with a code from the authenticator app.
+    // expired = true means the sign-in has to start over.
+    async completeSecondFactor(code) {
+        if (!pendingSecondFactor) {
+            return { success: false, expired: true, message: getMfaErrorMessage({ code: 'auth/missing-multi-factor-session' }) };
+        }
+
+        try {
+            const { resolver, hint, remember } = pendingSecondFactor;
+            const assertion = TotpMultiFactorGenerator.assertionForSignIn(hint.uid, normalizeTotpCode(code));
+            const userCredential = await resolver.resolveSignIn(assertion);
+            pendingSecondFactor = null;
+            await applyRememberChoice(remember);
+            await saveUserData(userCredential.user, {
+                lastLogin: new Date().toISOString()
+            });
+            return {
+                success: true,
+                user: userCredential.user,
+                message: 'Đăng nhập thành công!'
+            };
+        } catch (error) {
+            console.error('Second factor error:', error);
+            const expired = isMultiFactorSessionError(error);
+            if (expired) {
+                pendingSecondFactor = null;
+            }
+            return { success: false, expired, message: getMfaErrorMessage(error) };
+        }
+    },
+
+    cancelSecondFactor() {
+        pendingSecondFactor = null;
+    },
+
+    // Turn two-factor authentication off with a recovery code (authenticator lost).
+    // The player then signs in again with the first factor only.
+    async recoverSecondFactor(identifier, code) {
+        const value = String(identifier || '').trim();
+        const body = value.includes('@')
+            ? { email: value, code: normalizeRecoveryCode(code) }
+            : { username: normalizeUsername(value), code: normalizeRecoveryCode(code) };
+
+        let response;
+        try {
+            response = await fetch(MFA_RECOVER_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            console.error('Recovery code error:', error);
+            return { success: false, message: 'Không thể kết nối máy chủ. Vui lòng kiểm tra mạng!' };
+        }
+
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (parseError) {
+            // Non-JSON body, handled below by status
+        }
+
+        if (!response.ok || !data.success) {
+            let message = 'Không thể dùng mã khôi phục. Vui lòng thử lại sau!';
+            switch (data.code) {
+                case 'auth/invalid-recovery-code':
+                    message = 'Mã khôi phục không đúng hoặc đã được sử dụng!';
+                    break;
+                case 'auth/user-not-found':
+                    message = 'Không tìm thấy tài khoản!';
+                    break;
+                case 'auth/too-many-requests':
+                    message = 'Quá nhiều lần thử. Vui lòng thử lại sau!';
+                    break;
+            }
+            return { success: false, message };
+        }
+
+        pendingSecondFactor = null;
+        return {
+            success: true,
+            message: 'Đã tắt xác thực hai lớp. Hãy đăng nhập lại và bật lại trong Cài đặt tài khoản.'
+        };
+    },
+
+    // Keep the Google credential from an account-exists error and find out how the
+    // existing account signs in. Resolves to { success: false, needsLinking, email, methods, message }.
+    async prepareAccountLinking(error, remember = true) {
+        const credential = GoogleAuthProvider.credentialFromError(error);
+        const email = error.customData && error.customData.email;
+        if (!credential || !email) {
+            return {
+                success: false,
+                message: 'Tài khoản đã tồn tại với phương thức đăng nhập khác!'
+            };
+        }
+
+        let methods = [];
+        try {
+            methods = await fetchSignInMethodsForEmail(auth, email);
+        } catch (lookupError) {
+            console.error('Error fetching sign-in methods:', lookupError);
+        }
+        // With email enumeration protection the list comes back empty; Google is
+        // the only other method we offer, so the account must use a password
+        if (methods.length === 0) {
+            methods = ['password'];
+        }
+
+        pendingLink = { credential, email, remember };
+        return {
+            success: false,
+            needsLinking: true,
+            email,
+            methods,
+            message: `Email ${email} đã được đăng ký bằng phương thức khác. Đăng nhập bằng phương thức cũ để liên kết Google với tài khoản này.`
+        };
+    },
+
+    // Sign in to the existing account with its password and link the pending Google credential
+    async completeAccountLinking(password) {
+        if (!pendingLink) {
+            return { success: false, message: 'Không có yêu cầu liên kết nào đang chờ!' };
+        }
+
+        try {
+            const userCredential = await signInWithEmailAndPassword(auth, pendingLink.email, password);
+            await applyRememberChoice(pendingLink.remember);
+            await linkWithCredential(userCredential.user, pendingLink.credential);
+            pendingLink = null;
+            await setDoc(doc(db, 'users', userCredential.user.uid), {
+                providers: userCredential.user.providerData.map(provider => provider.providerId),
+                lastLogin: new Date().toISOString()
+            }, { merge: true });
+            return {
+                success: true,
+                user: userCredential.user,
+                message: 'Đã liên kết Google với tài khoản của bạn!'
+            };
+        } catch (error) {
+            console.error('Account linking error:', error);
+            return { success: false, message: getProviderErrorMessage(error) };
+        }
+    },
+
+    cancelAccountLinking() {
+        pendingLink = null;
+    },
+
+    // Sign-in methods of the current account: [{ providerId, label, icon, email }]
+    getLinkedProviders() {
+        if (!currentUser) {
+            return [];
+        }
+        return currentUser.providerData
+            .filter(provider => SIGN_IN_PROVIDERS[provider.providerId])
+            .map(provider => ({
+                providerId: provider.providerId,
+                email: provider.email,
+                ...SIGN_IN_PROVIDERS[provider.providerId]
+            }));
+    },
+
+    async linkGoogle() {
+        try {
+            await linkWithPopup(currentUser, googleProvider);
+            await this.saveProviders();
+            return { success: true, message: 'Đã liên kết tài khoản Google!' };
+        } catch (error) {
+            console.error('Link Google error:', error);
+            return { success: false, message: getProviderErrorMessage(error) };
+        }
+    },
+
+    // Add a password to an account that only signs in with Google
+    async linkPassword(password) {
+        try {
+            const credential = EmailAuthProvider.credential(currentUser.email, password);
+            await linkWithCredential(currentUser, credential);
+            await this.saveProviders();
+            return { success: true, message: 'Đã thêm đăng nhập bằng mật khẩu!' };
+        } catch (error) {
+            console.error('Link password error:', error);
+            return { success: false, message: getProviderErrorMessage(error) };
+        }
+    },
+
+    // Remove a sign-in method; the last one is never removed
+    async unlinkProvider(providerId) {
+        if (this.getLinkedProviders().length <= 1) {
+            return { success: false, message: 'Tài khoản cần ít nhất một phương thức đăng nhập!' };
+        }
+
+        try {
+            await unlink(currentUser, providerId);
+            await this.saveProviders();
+            return { success: true, message: `Đã hủy liên kết ${SIGN_IN_PROVIDERS[providerId].label}!` };
+        } catch (error) {
+            console.error('Unlink provider error:', error);
+            return { success: false, message: getProviderErrorMessage(error) };
+        }
+    },
+
+    // Whether the account can sign in with a password (and so change it)
+    hasPassword() {
+        return !!currentUser && currentUser.providerData.some(provider => provider.providerId === 'password');
+    },
+
+    // Confirm the user's identity before a sensitive change: with the password if the
+    // account has one, otherwise through the Google popup
+    async reauthenticate(password) {
+        try {
+            if (this.hasPassword()) {
+                const credential = EmailAuthProvider.credential(currentUser.email, password);
+                await reauthenticateWithCredential(currentUser, credential);
+            } else {
+                await reauthenticateWithPopup(currentUser, googleProvider);
+            }
+        } catch (error) {
+            if (error.code !== 'auth/multi-factor-auth-required') {
+                throw error;
+            }
+            await promptReauthSecondFactor(error);
+        }
+    },
+
+    // The enrolled authenticator app, or null when two-factor authentication is off
+    getTotpFactor() {
+        if (!currentUser) {
+            return null;
+        }
+        return multiFactor(currentUser).enrolledFactors
+            .find(factor => factor.factorId === TotpMultiFactorGenerator.FACTOR_ID) || null;
+    },
+
+    // First step of turning on two-factor authentication: re-authenticate and create a
+    // secret. Resolves to { success, secretKey, qrCodeUrl, message } for the authenticator app.
+    async startTotpEnrollment(password) {
+        if (!this.isVerified()) {
+            return { success: false, message: getMfaErrorMessage({ code: 'auth/unverified-email' }) };
+        }
+
+        try {
+            await this.reauthenticate(password);
+            const session = await multiFactor(currentUser).getSession();
+            pendingTotpSecret = await TotpMultiFactorGenerator.generateSecret(session);
+            return {
+                success: true,
+                secretKey: pendingTotpSecret.secretKey,
+                qrCodeUrl: pendingTotpSecret.generateQrCodeUrl(currentUser.email, TOTP_ISSUER)
+            };
+        } catch (error) {
+            console.error('TOTP enrollment error:', error);
+            return { success: false, message: getMfaErrorMessage(error) };
+        }
+    },
+
+    // Second step: check a code from the app, enroll the factor and issue recovery codes.
+    // Resolves to { success, recoveryCodes, message }; recoveryCodes is null if they could not be saved.
+    async finishTotpEnrollment(code) {
+        if (!pendingTotpSecret) {
+            return { success: false, message: getMfaErrorMessage({ code: 'auth/missing-multi-factor-session' }) };
+        }
+
+        try {
+            const assertion = TotpMultiFactorGenerator.assertionForEnrollment(pendingTotpSecret, normalizeTotpCode(code));
+            await multiFactor(currentUser).enroll(assertion, TOTP_FACTOR_NAME);
+            pendingTotpSecret = null;
+        } catch (error) {
+            console.error('TOTP enrollment error:', error);
+            return { success: false, message: getMfaErrorMessage(error) };
+        }
+
+        try {
+            const recoveryCodes = await saveRecoveryCodes(currentUser.uid);
+            return { success: true, recoveryCodes, message: 'Đã bật xác thực hai lớp!' };
+        } catch (error) {
+            console.error('Error saving recovery codes:', error);
+            return {
+                success: true,
+                recoveryCodes: null,
+                message: 'Đã bật xác thực hai lớp nhưng chưa tạo được mã khôi phục. Vui lòng tạo lại mã trong Cài đặt tài khoản!'
+            };
+        }
+    },
+
+    cancelTotpEnrollment() {
+        pendingTotpSecret = null;
+    },
+
+    // Replace the recovery codes; the old ones stop working
+    async regenerateRecoveryCodes(password) {
+        try {
+            await this.reauthenticate(password);
+            const recoveryCodes = await saveRecoveryCodes(currentUser.uid);
+            return { success: true, recoveryCodes, message: 'Đã tạo mã khôi phục mới!' };
+        } catch (error) {
+            console.error('Recovery codes error:', error);
+            return { success: false, message: getMfaErrorMessage(error) };
+        }
+    },
+
+    async disableTotp(password) {
+        const factor = this.getTotpFactor();
+        if (!factor) {
+            return { success: false, message: 'Xác thực hai lớp chưa được bật!' };
+        }
+
+        try {
+            await this.reauthenticate(password);
+            await multiFactor(currentUser).unenroll(factor);
+            await deleteDoc(doc(db, MFA_RECOVERY_COLLECTION, currentUser.uid));
+            return { success: true, message: 'Đã tắt xác thực hai lớp!' };
+        } catch (error) {
+            console.error('Disable TOTP error:', error);
+            return { success: false, message: getMfaErrorMessage(error) };
+        }
+    },
+
+    // Rename the player everywhere: Auth profile, Firestore profile and Users/{uid}.Name
+    async updateDisplayName(name) {
+        const displayName = String(name || '').trim().replace(/\s+/g, ' ');
+        if (!displayName || displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+            return { success: false, message: `Tên hiển thị phải có từ 1 đến ${MAX_DISPLAY_NAME_LENGTH} ký tự!` };
+        }
+
+        try {
+            await updateProfile(currentUser, { displayName });
+            await setDoc(doc(db, 'users', currentUser.uid), { displayName }, { merge: true });
+            if (window.playerProfile) {
+                await window.playerProfile.setName(currentUser.uid, displayName);
+            }
+            updateUIForLoggedInUser(currentUser);
+            return { success: true, message: 'Đã cập nhật tên hiển thị!' };
+        } catch (error) {
+            console.error('Update display name error:', error);
+            return { success: false, message: 'Không thể cập nhật tên hiển thị. Vui lòng thử lại!' };
+        }
+    },
+
+    // Resize an image file in the browser and use it as the avatar
+    async uploadAvatar(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            return { success: false, message: 'Vui lòng chọn một tệp hình ảnh!' };
+        }
+        if (file.size > AVATAR_MAX_UPLOAD_BYTES) {
+            return { success: false, message: 'Ảnh quá lớn! Vui lòng chọn ảnh dưới 5MB.' };
+        }
+
+        try {
+            const blob = await resizeAvatar(file);
+            const avatarRef = storageRef(storage, `avatars/${currentUser.uid}/avatar.jpg`);
+            await uploadBytes(avatarRef, blob, { contentType: 'image/jpeg' });
+            // Cache-bust so the navbar shows the new picture right away
+            const photoURL = `${await getDownloadURL(avatarRef)}&v=${Date.now()}`;
+
+            await updateProfile(currentUser, { photoURL });
+            await setDoc(doc(db, 'users', currentUser.uid), { photoURL }, { merge: true });
+            updateUIForLoggedInUser(currentUser);
+            return { success: true, photoURL, message: 'Đã cập nhật ảnh đại diện!' };
+        } catch (error) {
+            console.error('Upload avatar error:', error);
+            return { success: false, message: 'Không thể tải ảnh lên. Vui lòng thử lại!' };
+        }
+    },
+
+    async changePassword(currentPassword, newPassword) {
+        try {
+            await this.reauthenticate(currentPassword);
+            await updatePassword(currentUser, newPassword);
+            return { success: true, message: 'Đã đổi mật khẩu!' };
+        } catch (error) {
+            console.error('Change password error:', error);
+            return { success: false, message: getProviderErrorMessage(error) };
+        }
+    },
+
+    // Delete the account after re-authentication, together with the player's data
+    // in Firestore (profile, username reservation), the Realtime Database and Storage
+    async deleteAccount(password) {
+        const user = currentUser;
+        try {
+            await this.reauthenticate(password);
+        } catch (error) {
+            console.error('Reauthentication error:', error);
+            return { success: false, message: getProviderErrorMessage(error) };
+        }
+
+        try {
+            const profileRef = doc(db, 'users', user.uid);
+            const profile = await getDoc(profileRef);
+            const usernameKey = profile.exists() ? profile.data().usernameKey : null;
+
+            if (window.playerProfile) {
+                await window.playerProfile.deletePlayerData(user.uid);
+            }
+            if (usernameKey) {
+                await deleteDoc(doc(db, USERNAMES_COLLECTION, usernameKey));
+            }
+            await deleteDoc(profileRef);
+            await deleteDoc(doc(db, MFA_RECOVERY_COLLECTION, user.uid));
+            try {
+                await deleteObject(storageRef(storage, `avatars/${user.uid}/avatar.jpg`));
+            } catch (error) {
+                // Most players never uploaded an avatar
+                if (error.code !== 'storage/object-not-found') {
+                    console.error('Error deleting avatar:', error);
+                }
+            }
+
+            clearLocalUserData(user.uid);
+            await user.delete();
+            return { success: true, message: 'Tài khoản của bạn đã được xóa.' };
+        } catch (error) {
+            console.error('Delete account error:', error);
+            return { success: false, message: 'Không thể xóa tài khoản. Vui lòng thử lại sau!' };
+        }
+    },
+
+    // Mirror the linked providers into the Firestore profile
+    async saveProviders() {
+        await reload(currentUser);
+        await setDoc(doc(db, 'users', currentUser.uid), {
+            providers: currentUser.providerData.map(provider => provider.providerId)
+        }, { merge: true });
+    },
+
+    // Reset password
+    async resetPassword(email) {
+        try {
+            await sendPasswordResetEmail(auth, email, getActionCodeSettings());
+            return {
+                success: true,
+                message: 'Email khôi phục mật khẩu đã được gửi!'
+            };
+        } catch (error) {
+            console.error('Password reset error:', error);
+            let message = 'Đã có lỗi xảy ra khi gửi email!';
+            
+            switch (error.code) {
+                case 'auth/user-not-found':
+                    message = 'Không tìm thấy tài khoản với email này!';
+                    break;
+                case 'auth/invalid-email':
+                    message = 'Email không hợp lệ!';
+                    break;
+            }
+            
+            return {
+                success: false,
+                message: message
+            };
+        }
+    },
+
+    // Check a password reset link. Resolves to { success, email, message }.
+    async verifyResetCode(oobCode) {
+        try {
+            const email = await verifyPasswordResetCode(auth, oobCode);
+            return { success: true, email };
+        } catch (error) {
+            console.error('Reset code error:', error);
+            return { success: false, message: getActionCodeErrorMessage(error) };
+        }
+    },
+
+    // Set the new password from a reset link
+    async confirmReset(oobCode, newPassword) {
+        try {
+            await confirmPasswordReset(auth, oobCode, newPassword);
+            return { success: true, message: 'Mật khẩu đã được đặt lại!' };
+        } catch (error) {
+            console.error('Confirm reset error:', error);
+            return { success: false, message: getActionCodeErrorMessage(error) };
+        }
+    },
+
+    // Apply an email verification link
+    async applyVerification(oobCode) {
+        try {
+            await applyActionCode(auth, oobCode);
+            if (currentUser) {
+                await this.refreshVerification();
+            }
+            return { success: true, message: 'Email của bạn đã được xác minh!' };
+        } catch (error) {
+            console.error('Verify email error:', error);
+            return { success: false, message: getActionCodeErrorMessage(error) };
+        }
+    },
+
+    // Undo an email change from a recovery link. Resolves to { success, email, message }
+    // where email is the address the account was restored to.
+    async recoverEmail(oobCode) {
+        try {
+            const info = await checkActionCode(auth, oobCode);
+            await applyActionCode(auth, oobCode);
+            if (currentUser) {
+                await reload(currentUser);
+            }
+            return {
+                success: true,
+                email: info.data.email,
+                message: `Email đăng nhập đã được khôi phục về ${info.data.email}.`
+            };
+        } catch (error) {
+            console.error('Recover email error:', error);
+            return { success: false, message: getActionCodeErrorMessage(error) };
+        }
+    },
+
+    // Logout
+    // Signing out of a guest session deletes the guest and its data
+    async logout() {
+        try {
+            if (this.isGuest()) {
+                await deleteGuestData(currentUser);
+            } else {
+                await signOut(auth);
+            }
+            sessionStorage.removeItem(SESSION_ONLY_KEY);
+            sessionStorage.removeItem(LAST_ACTIVITY_KEY);
+            return {
+                success: true,
+                message: 'Đăng xuất thành công!'
+            };
+        } catch (error) {
+            console.error('Logout error:', error);
+            return {
+                success: false,
+                message: 'Đã có lỗi xảy ra khi đăng xuất!'
+            };
+        }
+    },
+
+    // Revoke the refresh tokens of every device through the backend, then sign out here
+    async logoutEverywhere() {
+        if (!currentUser) {
+            return { success: false, message: 'Bạn chưa đăng nhập!' };
+        }
+
+        try {
+            const idToken = await currentUser.getIdToken();
+            const response = await fetch(REVOKE_SESSIONS_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${idToken}`
+                }
+            });
+            if (!response.ok) {
+                throw new Error(`Revoke sessions failed with status ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Logout everywhere error:', error);
+            return {
+                success: false,
+                message: 'Không thể đăng xuất khỏi các thiết bị khác. Vui lòng thử lại sau!'
+            };
+        }
+
+        const result = await this.logout();
+        return result.success
+            ? { success: true, message: 'Đã đăng xuất khỏi tất cả thiết bị!' }
+            : result;
+    },
+
+    // Whether the signed-in account may claim rewards and spend currency
+    isVerified() {
+        return isAccountVerified(currentUser);
+    },
+
+    // Send the verification email again (rate limited by VERIFICATION_RESEND_COOLDOWN)
+    async resendVerificationEmail() {
+        if (!currentUser) {
+            return { success: false, message: 'Bạn chưa đăng nhập!' };
+        }
+        const cooldown = getVerificationCooldown(currentUser);
+        if (cooldown > 0) {
+            return { success: false, message: `Vui lòng đợi ${cooldown} giây trước khi gửi lại!` };
+        }
+
+        try {
+            await sendEmailVerification(currentUser, getActionCodeSettings());
+            markVerificationSent(currentUser);
+            return {
+                success: true,
+                message: `Email xác minh đã được gửi tới ${currentUser.email}!`
+            };
+        } catch (error) {
+            console.error('Verification email error:', error);
+            let message = 'Đã có lỗi xảy ra khi gửi email xác minh!';
+            
+            switch (error.code) {
+                case 'auth/too-many-requests':
+                    markVerificationSent(currentUser);
+                    message = 'Bạn đã yêu cầu quá nhiều lần. Vui lòng thử lại sau!';
+                    break;
+                case 'auth/network-request-failed':
+                    message = 'Không thể kết nối máy chủ. Vui lòng kiểm tra mạng!';
+                    break;
+            }
+            
+            return {
+                success: false,
+                message: message
+            };
+        }
+    },
+
+    // Reload the account after the user clicked the link in another tab.
+    // The ID token is refreshed too so database rules see email_verified.
+    async refreshVerification() {
+        if (!currentUser) {
+            return false;
+        }
+        await reload(currentUser);
+        if (isAccountVerified(currentUser)) {
+            await currentUser.getIdToken(true);
+        }
+        updateVerificationBanner();
+        return isAccountVerified(currentUser);
+    },
+
+    // Get current user
+    getCurrentUser() {
+        return currentUser;
+    },
+
+    // Check if user is logged in
+    isLoggedIn() {
+        return currentUser !== null;
+    },
+
+    // Call back with the user on every sign-in and sign-out; returns the unsubscribe function
+    onUserChanged(callback) {
+        return onAuthStateChanged(auth, callback);
+    }
+};
+
+// UI Update functions
+function updateUIForLoggedInUser(user) {
+    // Update login button to show user info
+    const loginBtn = document.querySelector('.login-btn');
+    if (loginBtn) {
+        loginBtn.innerHTML = user.isAnonymous ? `
+            <i class="fas fa-user-secret"></i>
+            <span>Khách</span>
+            <span class="guest-badge" title="Dữ liệu khách được giữ ${GUEST_DATA_TTL_DAYS} ngày kể từ lần ghé thăm cuối">Chưa lưu</span>
+            <i class="fas fa-chevron-down"></i>
+        ` : `
+            <img src="${escapeHTML(user.photoURL || 'img/logo/ChatGPT Image 13_27_39 3 thg 9, 2025.png')}" 
+                 alt="Avatar" class="user-avatar">
+            <span>${escapeHTML(user.displayName || user.email)}</span>
+            <i class="fas fa-chevron-down"></i>
+        `;
+        loginBtn.onclick = () => showUserMenu();
+    }
+    updateGuestNotices(user);
+    
+    // Close any open modals
+    closeAllModals();
+}
+
+function updateUIForLoggedOutUser() {
     // Reset login button
     const loginBtn = document.querySelector('.login-btn');
     if (loginBtn) {
@@ -369,209 +1727,1191 @@ function updateUIForLoggedOutUser() {
         `;
         loginBtn.onclick = () => window.openLoginModal();
     }
+    updateGuestNotices(null);
+}
+
+// Notes in the login/register modals about what happens to guest progress
+function updateGuestNotices(user) {
+    const isGuest = !!user && user.isAnonymous;
+    ['guestLoginNotice', 'guestRegisterNotice'].forEach(id => {
+        const notice = document.getElementById(id);
+        if (notice) {
+            notice.style.display = isGuest ? 'block' : 'none';
+        }
+    });
+    const guestButton = document.getElementById('guestPlayBtn');
+    if (guestButton) {
+        guestButton.style.display = user ? 'none' : '';
+    }
+}
+
+// Banner for signed-in accounts whose email is not verified yet
+let verificationCooldownTimer = null;
+
+function updateVerificationBanner() {
+    const banner = document.getElementById('verifyEmailBanner');
+    if (!banner) {
+        return;
+    }
+
+    clearInterval(verificationCooldownTimer);
+    if (!currentUser || currentUser.isAnonymous || isAccountVerified(currentUser)) {
+        banner.style.display = 'none';
+        return;
+    }
+
+    banner.style.display = 'flex';
+    document.getElementById('verifyEmailAddress').textContent = currentUser.email;
+
+    const resendBtn = document.getElementById('verifyEmailResend');
+    const renderCooldown = () => {
+        const cooldown = getVerificationCooldown(currentUser);
+        resendBtn.disabled = cooldown > 0;
+        resendBtn.textContent = cooldown > 0 ? `Gửi lại (${cooldown}s)` : 'Gửi lại email';
+        if (cooldown === 0) {
+            clearInterval(verificationCooldownTimer);
+        }
+    };
+    renderCooldown();
+    verificationCooldownTimer = setInterval(renderCooldown, 1000);
+}
+
+async function resendVerificationEmail() {
+    const result = await firebaseAuth.resendVerificationEmail();
+    updateVerificationBanner();
+    Swal.fire({
+        icon: result.success ? 'success' : 'error',
+        title: result.success ? 'Đã gửi email!' : 'Chưa gửi được!',
+        text: result.message,
+        confirmButtonColor: '#667eea'
+    });
+}
+
+async function checkEmailVerified() {
+    try {
+        const verified = await firebaseAuth.refreshVerification();
+        Swal.fire({
+            icon: verified ? 'success' : 'info',
+            title: verified ? 'Xác minh thành công!' : 'Chưa xác minh',
+            text: verified
+                ? 'Email của bạn đã được xác minh. Bạn có thể nhận thưởng ngay bây giờ!'
+                : 'Hãy mở email và bấm vào liên kết xác minh, sau đó thử lại.',
+            confirmButtonColor: '#667eea'
+        });
+    } catch (error) {
+        console.error('Error refreshing verification:', error);
+    }
+}
+
+// Gate for rewards and spending. Returns true if the account is verified,
+// otherwise explains why and offers to resend the email.
+// Guests pass only when allowGuest is set; otherwise they are asked to create an account
+function requireVerifiedEmail(action, { allowGuest = false } = {}) {
+    if (currentUser && currentUser.isAnonymous) {
+        if (!allowGuest) {
+            promptGuestUpgrade(`Bạn cần tạo tài khoản để ${action}. Tiến trình chơi khách sẽ được giữ lại.`);
+        }
+        return allowGuest;
+    }
+    if (isAccountVerified(currentUser)) {
+        return true;
+    }
+
+    Swal.fire({
+        icon: 'warning',
+        title: 'Cần xác minh email!',
+        text: `Bạn cần xác minh email ${currentUser ? currentUser.email : ''} trước khi ${action}.`,
+        showCancelButton: true,
+        confirmButtonText: 'Gửi lại email',
+        cancelButtonText: 'Đóng',
+        confirmButtonColor: '#667eea',
+        cancelButtonColor: '#95a5a6'
+    }).then(result => {
+        if (result.isConfirmed) {
+            resendVerificationEmail();
+        }
+    });
+    return false;
+}
+
+function promptGuestUpgrade(text) {
+    const menu = document.querySelector('.user-menu');
+    if (menu) menu.remove();
+
+    Swal.fire({
+        icon: 'info',
+        title: 'Lưu tiến trình chơi khách',
+        text: text || `Tạo tài khoản để giữ vàng, kim cương và lịch sử điểm danh lâu dài. Dữ liệu khách chỉ được giữ ${GUEST_DATA_TTL_DAYS} ngày kể từ lần ghé thăm cuối.`,
+        showCancelButton: true,
+        confirmButtonText: 'Tạo tài khoản',
+        cancelButtonText: 'Để sau',
+        confirmButtonColor: '#667eea',
+        cancelButtonColor: '#95a5a6'
+    }).then(result => {
+        if (result.isConfirmed && window.openRegisterModal) {
+            window.openRegisterModal();
+        }
+    });
+}
+
+function showUserMenu() {
+    // Create dropdown menu for logged in user
+    const existingMenu = document.querySelector('.user-menu');
+    if (existingMenu) {
+        existingMenu.remove();
+        return;
+    }
+    
+    const menu = document.createElement('div');
+    menu.className = 'user-menu';
+    menu.innerHTML = firebaseAuth.isGuest() ? `
+        <div class="user-menu-item" onclick="promptGuestUpgrade()">
+            <i class="fas fa-save"></i> Lưu tiến trình
+        </div>
+        <div class="user-menu-item" onclick="showTransactionHistory()">
+            <i class="fas fa-receipt"></i> Lịch sử giao dịch
+        </div>
+        <div class="user-menu-item logout" onclick="handleLogout()">
+            <i class="fas fa-sign-out-alt"></i> Thoát chế độ khách
+        </div>
+    ` : `
+        <div class="user-menu-item" onclick="showPromoCodes()">
+            <i class="fas fa-gift"></i> Mã khuyến mãi
+        </div>
+        <div class="user-menu-item" onclick="showFarmPreview()">
+            <i class="fas fa-seedling"></i> Khu vườn của tôi
+        </div>
+        <div class="user-menu-item" onclick="showAccountSettings()">
+            <i class="fas fa-user-cog"></i> Cài đặt tài khoản
+        </div>
+        <div class="user-menu-item" onclick="showSignInMethods()">
+            <i class="fas fa-link"></i> Phương thức đăng nhập
+        </div>
+        <div class="user-menu-item" onclick="showTransactionHistory()">
+            <i class="fas fa-receipt"></i> Lịch sử giao dịch
+        </div>
+        <hr>
+        <div class="user-menu-item" onclick="handleLogoutEverywhere()">
+            <i class="fas fa-laptop-house"></i> Đăng xuất mọi thiết bị
+        </div>
+        <div class="user-menu-item logout" onclick="handleLogout()">
+            <i class="fas fa-sign-out-alt"></i> Đăng xuất
+        </div>
+    `;
+    
+    const loginBtn = document.querySelector('.login-btn');
+    loginBtn.parentNode.appendChild(menu);
+    
+    // Close menu when clicking outside
+    setTimeout(() => {
+        document.addEventListener('click', function closeMenu(e) {
+            if (!menu.contains(e.target) && !loginBtn.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        });
+    }, 0);
+}
+
+function closeAllModals() {
+    const modals = ['loginModal', 'registerModal', 'forgotPasswordModal', 'resetSuccessModal'];
+    modals.forEach(modalId => {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    });
+    document.body.style.overflow = 'auto';
+}
+
+// Placeholder functions for user menu items
+function showPromoCodes() {
+    if (!requireVerifiedEmail('đổi mã khuyến mãi')) {
+        const menu = document.querySelector('.user-menu');
+        if (menu) menu.remove();
+        return;
+    }
+
+    Swal.fire({
+        title: '<div style="font-size: 1.8rem; font-weight: 700; color: #2c3e50; margin-bottom: 10px;">Mã Khuyến Mãi</div>',
+        html: `
+            <div style="margin: 25px 0;">
+                <!-- Description -->
+                <p style="font-size: 1rem; 
+                          color: #5a6c7d; 
+                          margin-bottom: 30px; 
+                          line-height: 1.6;
+                          font-weight: 400;">
+                    Nhập mã để nhận Kim Cương, Vàng và nhiều phần thưởng khác
+                </p>
+                
+                <!-- Input -->
+                <div style="margin: 0 auto 25px; max-width: 420px;">
+                    <input type="text" 
+                           id="promoCodeInput" 
+                           placeholder="NHẬP MÃ TẠI ĐÂY"
+                           style="width: 100%; 
+                                  padding: 16px 20px; 
+                                  font-size: 1.05rem; 
+                                  border: 2px solid #e1e8ed; 
+                                  border-radius: 12px; 
+                                  outline: none;
+                                  transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+                                  text-transform: uppercase;
+                                  letter-spacing: 3px;
+                                  font-weight: 600;
+                                  color: #2c3e50;
+                                  background: #f8f9fa;
+                                  text-align: center;"
+                           onkeyup="this.value = this.value.toUpperCase()"
+                           onfocus="this.style.borderColor='#667eea'; 
+                                    this.style.background='#ffffff'; 
+                                    this.style.boxShadow='0 0 0 4px rgba(102, 126, 234, 0.1)'"
+                           onblur="this.style.borderColor='#e1e8ed'; 
+                                   this.style.background='#f8f9fa'; 
+                                   this.style.boxShadow='none'">
+                </div>
+                
+                <!-- Note -->
+                <div style="background: #f8f9fa; 
+                            padding: 16px 20px; 
+                            border-radius: 10px; 
+                            border-left: 4px solid #667eea;
+                            margin-top: 25px;">
+                    <p style="margin: 0; 
+                              color: #5a6c7d; 
+                              font-size: 0.92rem; 
+                              line-height: 1.5;">
+                        <span style="color: #667eea; font-weight: 600;">💡 Lưu ý:</span> 
+                        Theo dõi Fanpage và Discord để nhận mã mới nhất
+                    </p>
+                </div>
+            </div>
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Nhận Quà',
+        cancelButtonText: 'Đóng',
+        confirmButtonColor: '#667eea',
+        cancelButtonColor: '#95a5a6',
+        buttonsStyling: true,
+        width: '500px',
+        padding: '35px',
+        background: '#ffffff',
+        backdrop: 'rgba(44, 62, 80, 0.4)',
+        customClass: {
+            confirmButton: 'swal2-promo-confirm',
+            cancelButton: 'swal2-promo-cancel',
+            popup: 'swal2-promo-popup'
+        },
+        didOpen: () => {
+            const style = document.createElement('style');
+            style.innerHTML = `
+                .swal2-promo-popup {
+                    border-radius: 16px !important;
+                    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.15) !important;
+                }
+                .swal2-promo-confirm {
+                    padding: 13px 35px !important;
+                    border-radius: 10px !important;
+                    font-weight: 600 !important;
+                    font-size: 1rem !important;
+                    transition: all 0.3s ease !important;
+                    box-shadow: 0 4px 12px rgba(102, 126, 234, 0.3) !important;
+                }
+                .swal2-promo-confirm:hover {
+                    transform: translateY(-2px);
+                    box-shadow: 0 6px 16px rgba(102, 126, 234, 0.4) !important;
+                }
+                .swal2-promo-cancel {
+                    padding: 13px 30px !important;
+                    border-radius: 10px !important;
+                    font-weight: 500 !important;
+                    font-size: 0.95rem !important;
+                    transition: all 0.3s ease !important;
+                }
+                .swal2-promo-cancel:hover {
+                    background: #7f8c8d !important;
+                }
+            `;
+            document.head.appendChild(style);
+            
+            setTimeout(() => {
+                document.getElementById('promoCodeInput').focus();
+            }, 100);
+        },
+        preConfirm: () => {
+            const code = document.getElementById('promoCodeInput').value.trim();
+            if (!code) {
+                Swal.showValidationMessage('Vui lòng nhập mã khuyến mãi');
+                return false;
+            }
+            return code;
+        }
+    }).then((result) => {
+        if (result.isConfirmed) {
+            Swal.fire({
+                title: 'Đang xử lý...',
+                html: '<div style="color: #667eea; font-size: 2.5rem;">⏳</div>',
+                showConfirmButton: false,
+                allowOutsideClick: false,
+                timer: 1000,
+                didOpen: () => {
+                    Swal.showLoading();
+                }
+            }).then(() => {
+                // TODO: Implement promo code validation and reward
+                Swal.fire({
+                    icon: 'error',
+                    title: 'Mã không hợp lệ',
+                    html: `
+                        <p style="font-size: 1rem; color: #5a6c7d; margin: 15px 0; line-height: 1.5;">
+                            Mã <strong style="color: #e74c3c;">${result.value}</strong> không tồn tại hoặc đã hết hạn
+                        </p>
+                    `,
+                    confirmButtonText: 'Đã hiểu',
+                    confirmButtonColor: '#667eea',
+                    width: '450px'
+                });
+            });
+        }
+    });
+    
+    const menu = document.querySelector('.user-menu');
+    if (menu) menu.remove();
+}
+
+// Account settings: avatar, display name, password and deletion
+function showAccountSettings() {
+    const menu = document.querySelector('.user-menu');
+    if (menu) menu.remove();
+
+    if (!currentUser) {
+        return;
+    }
+
+    const avatar = currentUser.photoURL || 'img/logo/ChatGPT Image 13_27_39 3 thg 9, 2025.png';
+    const totpFactor = firebaseAuth.getTotpFactor();
+    Swal.fire({
+        title: 'Cài đặt tài khoản',
+        html: `
+            <div class="account-settings">
+                <div class="account-avatar">
+                    <img src="${escapeHTML(avatar)}" alt="Avatar" id="accountAvatarPreview">
+                    <button type="button" class="account-btn" id="accountAvatarBtn">
+                        <i class="fas fa-camera"></i> Đổi ảnh đại diện
+                    </button>
+                    <input type="file" id="accountAvatarInput" accept="image/*" hidden>
+                </div>
+                <div class="account-row">
+                    <div>
+                        <div class="account-label">Tên hiển thị</div>
+                        <div class="account-value">${escapeHTML(currentUser.displayName || '—')}</div>
+                    </div>
+                    <button type="button" class="account-btn" id="accountNameBtn">Đổi tên</button>
+                </div>
+                <div class="account-row">
+                    <div>
+                        <div class="account-label">Email</div>
+                        <div class="account-value">${escapeHTML(currentUser.email || '—')}</div>
+                    </div>
+                </div>
+                ${firebaseAuth.hasPassword() ? `
+                <div class="account-row">
+                    <div>
+                        <div class="account-label">Mật khẩu</div>
+                        <div class="account-value">••••••••</div>
+                    </div>
+                    <button type="button" class="account-btn" id="accountPasswordBtn">Đổi mật khẩu</button>
+                </div>` : ''}
+                <div class="account-row">
+                    <div>
+                        <div class="account-label">Xác thực hai lớp</div>
+                        <div class="account-value">${totpFactor ? `Đang bật · ${escapeHTML(totpFactor.displayName || TOTP_FACTOR_NAME)}` : 'Đang tắt'}</div>
+                    </div>
+                    <button type="button" class="account-btn" id="accountTwoFactorBtn">${totpFactor ? 'Quản lý' : 'Bật'}</button>
+                </div>
+                <div class="account-row">
+                    <div>
+                        <div class="account-label">Phương thức đăng nhập</div>
+                        <div class="account-value">${firebaseAuth.getLinkedProviders().map(provider => provider.label).join(', ')}</div>
+                    </div>
+                    <button type="button" class="account-btn" id="accountProvidersBtn">Quản lý</button>
+                </div>
+                <div class="account-danger">
+                    <div>
+                        <div class="account-label">Xóa tài khoản</div>
+                        <div class="account-value">Xóa vĩnh viễn tài khoản và toàn bộ dữ liệu trò chơi</div>
+                    </div>
+                    <button type="button" class="account-btn danger" id="accountDeleteBtn">Xóa</button>
+                </div>
+            </div>
+        `,
+        confirmButtonText: 'Đóng',
+        confirmButtonColor: '#667eea',
+        width: '560px',
+        didOpen: () => {
+            const fileInput = document.getElementById('accountAvatarInput');
+            document.getElementById('accountAvatarBtn').addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) {
+                    runSettingsAction(() => firebaseAuth.uploadAvatar(fileInput.files[0]), 'Đang tải ảnh lên...');
+                }
+            });
+            document.getElementById('accountNameBtn').addEventListener('click', promptDisplayName);
+            const passwordBtn = document.getElementById('accountPasswordBtn');
+            if (passwordBtn) {
+                passwordBtn.addEventListener('click', promptChangePassword);
+            }
+            document.getElementById('accountTwoFactorBtn').addEventListener('click', totpFactor ? showTwoFactorOptions : startTwoFactorSetup);
+            document.getElementById('accountProvidersBtn').addEventListener('click', showSignInMethods);
+            document.getElementById('accountDeleteBtn').addEventListener('click', confirmDeleteAccount);
+        }
+    });
+}
+
+// Run a settings call behind a loading dialog, report the result and reopen the panel
+async function runSettingsAction(action, loadingText = 'Đang xử lý...') {
+    Swal.fire({
+        title: loadingText,
+        allowOutsideClick: false,
+        didOpen: () => {
+            Swal.showLoading();
+        }
+    });
+    const result = await action();
+    await Swal.fire({
+        icon: result.success ? 'success' : 'error',
+        title: result.success ? 'Thành công!' : 'Không thành công!',
+        text: result.message,
+        confirmButtonColor: '#667eea'
+    });
+    showAccountSettings();
+}
+
+function promptDisplayName() {
+    Swal.fire({
+        title: 'Đổi tên hiển thị',
+        input: 'text',
+        inputValue: currentUser.displayName || '',
+        inputAttributes: { maxlength: String(MAX_DISPLAY_NAME_LENGTH) },
+        showCancelButton: true,
+        confirmButtonText: 'Lưu',
+        cancelButtonText: 'Quay lại',
+        confirmButtonColor: '#667eea',
+        inputValidator: value => (!value || !value.trim() ? 'Vui lòng nhập tên hiển thị!' : undefined)
+    }).then(result => {
+        if (result.isConfirmed) {
+            runSettingsAction(() => firebaseAuth.updateDisplayName(result.value));
+        } else {
+            showAccountSettings();
+        }
+    });
+}
+
+function promptChangePassword() {
+    Swal.fire({
+        title: 'Đổi mật khẩu',
+        html: `
+            <input type="password" id="settingsCurrentPassword" class="swal2-input" placeholder="Mật khẩu hiện tại" autocomplete="current-password">
+            <input type="password" id="settingsNewPassword" class="swal2-input" placeholder="Mật khẩu mới" autocomplete="new-password">
+            <input type="password" id="settingsConfirmPassword" class="swal2-input" placeholder="Nhập lại mật khẩu mới" autocomplete="new-password">
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Đổi mật khẩu',
+        cancelButtonText: 'Quay lại',
+        confirmButtonColor: '#667eea',
+        preConfirm: () => {
+            const currentPassword = document.getElementById('settingsCurrentPassword').value;
+            const newPassword = document.getElementById('settingsNewPassword').value;
+            const confirmPassword = document.getElementById('settingsConfirmPassword').value;
+            if (!currentPassword || !newPassword) {
+                Swal.showValidationMessage('Vui lòng điền đầy đủ thông tin');
+                return false;
+            }
+            if (window.getPasswordStrength && window.getPasswordStrength(newPassword).score < 2) {
+                Swal.showValidationMessage('Mật khẩu mới cần ít nhất 8 ký tự và kết hợp chữ hoa, chữ thường, số hoặc ký tự đặc biệt');
+                return false;
+            }
+            if (newPassword !== confirmPassword) {
+                Swal.showValidationMessage('Mật khẩu mới không khớp');
+                return false;
+            }
+            return { currentPassword, newPassword };
+        }
+    }).then(result => {
+        if (result.isConfirmed) {
+            runSettingsAction(() => firebaseAuth.changePassword(result.value.currentPassword, result.value.newPassword));
+        } else {
+            showAccountSettings();
+        }
+    });
+}
+
+// Two steps: type the confirmation text, then prove identity (password or Google)
+function confirmDeleteAccount() {
+    const needsPassword = firebaseAuth.hasPassword();
+    Swal.fire({
+        icon: 'warning',
+        title: 'Xóa tài khoản?',
+        html: `
+            <p style="color: #5a6c7d; line-height: 1.6;">
+                Toàn bộ vàng, kim cương, khu vườn và lịch sử điểm danh sẽ bị xóa vĩnh viễn và <strong>không thể khôi phục</strong>.
+            </p>
+            <p style="color: #5a6c7d;">Nhập <strong>${DELETE_CONFIRMATION_TEXT}</strong> để xác nhận:</p>
+            <input type="text" id="deleteConfirmInput" class="swal2-input" autocomplete="off">
+            ${needsPassword ? '<input type="password" id="deletePasswordInput" class="swal2-input" placeholder="Mật khẩu của bạn" autocomplete="current-password">' : ''}
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Xóa vĩnh viễn',
+        cancelButtonText: 'Quay lại',
+        confirmButtonColor: '#ff6b6b',
+        cancelButtonColor: '#6c757d',
+        preConfirm: () => {
+            if (document.getElementById('deleteConfirmInput').value.trim().toUpperCase() !== DELETE_CONFIRMATION_TEXT) {
+                Swal.showValidationMessage(`Vui lòng nhập đúng "${DELETE_CONFIRMATION_TEXT}"`);
+                return false;
+            }
+            const password = needsPassword ? document.getElementById('deletePasswordInput').value : null;
+            if (needsPassword && !password) {
+                Swal.showValidationMessage('Vui lòng nhập mật khẩu');
+                return false;
+            }
+            return { password };
+        }
+    }).then(async result => {
+        if (!result.isConfirmed) {
+            showAccountSettings();
+            return;
+        }
+
+        Swal.fire({
+            title: 'Đang xóa tài khoản...',
+            allowOutsideClick: false,
+            didOpen: () => {
+                Swal.showLoading();
+            }
+        });
+        const deletion = await firebaseAuth.deleteAccount(result.value.password);
+        if (deletion.success) {
+            Swal.fire({
+                icon: 'success',
+                title: 'Đã xóa tài khoản',
+                text: 'Cảm ơn bạn đã đồng hành cùng Vườn Rực Rỡ!',
+                confirmButtonColor: '#4a90e2'
+            });
+        } else {
+            await Swal.fire({
+                icon: 'error',
+                title: 'Không thành công!',
+                text: deletion.message,
+                confirmButtonColor: '#667eea'
+            });
+            showAccountSettings();
+        }
+    });
+}
+
+// Ask for the password (Google accounts confirm in a popup instead). Resolves to
+// { password } or null when cancelled.
+async function promptSettingsPassword(title, text) {
+    if (!firebaseAuth.hasPassword()) {
+        return { password: null };
+    }
+
+    const result = await Swal.fire({
+        title,
+        text,
+        input: 'password',
+        inputPlaceholder: 'Mật khẩu của bạn',
+        inputAttributes: { autocomplete: 'current-password' },
+        showCancelButton: true,
+        confirmButtonText: 'Tiếp tục',
+        cancelButtonText: 'Quay lại',
+        confirmButtonColor: '#667eea',
+        inputValidator: value => (!value ? 'Vui lòng nhập mật khẩu!' : undefined)
+    });
+    return result.isConfirmed ? { password: result.value } : null;
+}
+
+// A code from the authenticator app, with the validation message for a wrong length
+function getTotpCodeInputOptions() {
+    return {
+        input: 'text',
+        inputPlaceholder: '123456',
+        inputAttributes: {
+            inputmode: 'numeric',
+            autocomplete: 'one-time-code',
+            maxlength: String(TOTP_CODE_LENGTH)
+        },
+        inputValidator: value => (normalizeTotpCode(value).length !== TOTP_CODE_LENGTH
+            ? `Vui lòng nhập mã gồm ${TOTP_CODE_LENGTH} chữ số!`
+            : undefined)
+    };
+}
+
+// Re-authenticating an account with two-factor authentication also needs a code.
+// Rejects with auth/missing-code when the player cancels.
+async function promptReauthSecondFactor(error) {
+    const resolver = getMultiFactorResolver(auth, error);
+    const hint = resolver.hints.find(item => item.factorId === TotpMultiFactorGenerator.FACTOR_ID);
+    if (!hint) {
+        throw error;
+    }
+
+    const result = await Swal.fire({
+        title: 'Xác thực hai lớp',
+        text: `Nhập mã ${TOTP_CODE_LENGTH} số trong ứng dụng xác thực để xác nhận.`,
+        ...getTotpCodeInputOptions(),
+        showCancelButton: true,
+        confirmButtonText: 'Xác nhận',
+        cancelButtonText: 'Hủy',
+        confirmButtonColor: '#667eea',
+        showLoaderOnConfirm: true,
+        allowOutsideClick: () => !Swal.isLoading(),
+        preConfirm: async code => {
+            try {
+                const assertion = TotpMultiFactorGenerator.assertionForSignIn(hint.uid, normalizeTotpCode(code));
+                return await resolver.resolveSignIn(assertion);
+            } catch (resolveError) {
+                console.error('Second factor error:', resolveError);
+                Swal.showValidationMessage(getMfaErrorMessage(resolveError));
+                return false;
+            }
+        }
+    });
+
+    if (!result.isConfirmed) {
+        const cancelled = new Error('Second factor cancelled');
+        cancelled.code = 'auth/missing-code';
+        throw cancelled;
+    }
+}
+
+// Turn on two-factor authentication: confirm identity, scan the QR code, enter a code
+async function startTwoFactorSetup() {
+    const confirmation = await promptSettingsPassword(
+        'Bật xác thực hai lớp',
+        'Nhập mật khẩu để tiếp tục. Bạn sẽ cần một ứng dụng xác thực như Google Authenticator hoặc Microsoft Authenticator.'
+    );
+    if (!confirmation) {
+        showAccountSettings();
+        return;
+    }
+
+    Swal.fire({
+        title: 'Đang chuẩn bị...',
+        allowOutsideClick: false,
+        didOpen: () => {
+            Swal.showLoading();
+        }
+    });
+    const setup = await firebaseAuth.startTotpEnrollment(confirmation.password);
+    if (!setup.success) {
+        await Swal.fire({
+            icon: 'error',
+            title: 'Không thành công!',
+            text: setup.message,
+            confirmButtonColor: '#667eea'
+        });
+        showAccountSettings();
+        return;
+    }
+
+    const result = await Swal.fire({
+        title: 'Quét mã QR',
+        html: `
+            <div class="two-factor-setup">
+                <p>1. Quét mã bằng ứng dụng xác thực:</p>
+                <div class="two-factor-qr" id="twoFactorQr"></div>
+                <p>Không quét được? Nhập khóa này vào ứng dụng:</p>
+                <code class="two-factor-secret">${escapeHTML(setup.secretKey.replace(/(.{4})/g, '$1 ').trim())}</code>
+                <p>2. Nhập mã ${TOTP_CODE_LENGTH} số ứng dụng hiển thị:</p>
+            </div>
+        `,
+        ...getTotpCodeInputOptions(),
+        showCancelButton: true,
+        confirmButtonText: 'Bật xác thực hai lớp',
+        cancelButtonText: 'Hủy',
+        confirmButtonColor: '#667eea',
+        width: '480px',
+        showLoaderOnConfirm: true,
+        allowOutsideClick: () => !Swal.isLoading(),
+        didOpen: () => {
+            const container = document.getElementById('twoFactorQr');
+            if (window.QRCode) {
+                new QRCode(container, { text: setup.qrCodeUrl, width: 180, height: 180 });
+            } else {
+                container.remove();
+            }
+        },
+        preConfirm: async code => {
+            const enrollment = await firebaseAuth.finishTotpEnrollment(code);
+            if (!enrollment.success) {
+                Swal.showValidationMessage(enrollment.message);
+                return false;
+            }
+            return enrollment;
+        }
+    });
+
+    if (!result.isConfirmed) {
+        firebaseAuth.cancelTotpEnrollment();
+        showAccountSettings();
+        return;
+    }
+    if (result.value.recoveryCodes) {
+        await showRecoveryCodes(result.value.recoveryCodes);
+    } else {
+        await Swal.fire({
+            icon: 'warning',
+            title: 'Đã bật xác thực hai lớp',
+            text: result.value.message,
+            confirmButtonColor: '#667eea'
+        });
+    }
+    showAccountSettings();
+}
+
+// Recovery codes are shown only once, right after they are created
+async function showRecoveryCodes(codes) {
+    await Swal.fire({
+        icon: 'success',
+        title: 'Mã khôi phục',
+        html: `
+            <p style="color: #5a6c7d; line-height: 1.6;">
+                Lưu các mã này ở nơi an toàn. Khi mất ứng dụng xác thực, mỗi mã dùng được <strong>một lần</strong> để tắt xác thực hai lớp.
+                Các mã sẽ <strong>không hiển thị lại</strong>.
+            </p>
+            <div class="recovery-codes">${codes.map(code => `<code>${code}</code>`).join('')}</div>
+            <button type="button" class="account-btn" id="recoveryCodesCopyBtn">
+                <i class="fas fa-copy"></i> Sao chép
+            </button>
+            <button type="button" class="account-btn" id="recoveryCodesDownloadBtn">
+                <i class="fas fa-download"></i> Tải xuống
+            </button>
+        `,
+        confirmButtonText: 'Tôi đã lưu mã',
+        confirmButtonColor: '#667eea',
+        allowOutsideClick: false,
+        didOpen: () => {
+            const text = codes.join('\n');
+            document.getElementById('recoveryCodesCopyBtn').addEventListener('click', async event => {
+                try {
+                    await navigator.clipboard.writeText(text);
+                    event.currentTarget.innerHTML = '<i class="fas fa-check"></i> Đã sao chép';
+                } catch (error) {
+                    console.error('Error copying recovery codes:', error);
+                }
+            });
+            document.getElementById('recoveryCodesDownloadBtn').addEventListener('click', () => {
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(new Blob([`${TOTP_ISSUER} - ${currentUser.email}\n\n${text}\n`], { type: 'text/plain' }));
+                link.download = 'vuon-ruc-ro-recovery-codes.txt';
+                link.click();
+                URL.revokeObjectURL(link.href);
+            });
+        }
+    });
+}
+
+// Two-factor authentication is on: new recovery codes or turn it off
+async function showTwoFactorOptions() {
+    const result = await Swal.fire({
+        title: 'Xác thực hai lớp',
+        text: 'Đăng nhập bằng email cần thêm mã từ ứng dụng xác thực.',
+        showDenyButton: true,
+        showCancelButton: true,
+        confirmButtonText: 'Tạo mã khôi phục mới',
+        denyButtonText: 'Tắt xác thực hai lớp',
+        cancelButtonText: 'Quay lại',
+        confirmButtonColor: '#667eea',
+        denyButtonColor: '#ff6b6b'
+    });
+
+    if (result.isConfirmed) {
+        const confirmation = await promptSettingsPassword('Tạo mã khôi phục mới', 'Các mã khôi phục cũ sẽ không còn dùng được.');
+        if (!confirmation) {
+            showAccountSettings();
+            return;
+        }
+        const regenerated = await firebaseAuth.regenerateRecoveryCodes(confirmation.password);
+        if (regenerated.success) {
+            await showRecoveryCodes(regenerated.recoveryCodes);
+            showAccountSettings();
+        } else {
+            runSettingsAction(async () => regenerated);
+        }
+    } else if (result.isDenied) {
+        const confirmation = await promptSettingsPassword('Tắt xác thực hai lớp', 'Tài khoản sẽ chỉ cần mật khẩu để đăng nhập.');
+        if (!confirmation) {
+            showAccountSettings();
+            return;
+        }
+        runSettingsAction(() => firebaseAuth.disableTotp(confirmation.password));
+    } else {
+        showAccountSettings();
+    }
+}
+
+// List, add and unlink sign-in methods
+function showSignInMethods() {
+    const menu = document.querySelector('.user-menu');
+    if (menu) menu.remove();
+
+    if (!currentUser) {
+        return;
+    }
+
+    const linked = firebaseAuth.getLinkedProviders();
+    const canUnlink = linked.length > 1;
+    const rows = Object.entries(SIGN_IN_PROVIDERS).map(([providerId, provider]) => {
+        const entry = linked.find(item => item.providerId === providerId);
+        const action = entry
+            ? `<button type="button" class="provider-btn unlink" data-provider="${providerId}" ${canUnlink ? '' : 'disabled title="Tài khoản cần ít nhất một phương thức đăng nhập"'}>Hủy liên kết</button>`
+            : `<button type="button" class="provider-btn link" data-provider="${providerId}">Liên kết</button>`;
+        return `
+            <div class="provider-row">
+                <i class="${provider.icon}"></i>
+                <div class="provider-info">
+                    <div class="provider-name">${provider.label}</div>
+                    <div class="provider-status">${entry ? `Đã liên kết${entry.email ? ` · ${escapeHTML(entry.email)}` : ''}` : 'Chưa liên kết'}</div>
+                </div>
+                ${action}
+            </div>
+        `;
+    }).join('');
+
+    Swal.fire({
+        title: 'Phương thức đăng nhập',
+        html: `<div class="provider-list">${rows}</div>`,
+        confirmButtonText: 'Đóng',
+        confirmButtonColor: '#667eea',
+        width: '520px',
+        didOpen: () => {
+            document.querySelectorAll('.provider-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    const providerId = button.dataset.provider;
+                    if (button.classList.contains('unlink')) {
+                        confirmUnlinkProvider(providerId);
+                    } else if (providerId === 'password') {
+                        promptLinkPassword();
+                    } else {
+                        runProviderAction(() => firebaseAuth.linkGoogle());
+                    }
+                });
+            });
+        }
+    });
+}
+
+// Run a link/unlink call, report the result and reopen the panel
+async function runProviderAction(action) {
+    const result = await action();
+    await Swal.fire({
+        icon: result.success ? 'success' : 'error',
+        title: result.success ? 'Thành công!' : 'Không thành công!',
+        text: result.message,
+        confirmButtonColor: '#667eea'
+    });
+    showSignInMethods();
+}
+
+function confirmUnlinkProvider(providerId) {
+    Swal.fire({
+        icon: 'question',
+        title: 'Hủy liên kết?',
+        text: `Bạn sẽ không thể đăng nhập bằng ${SIGN_IN_PROVIDERS[providerId].label} nữa.`,
+        showCancelButton: true,
+        confirmButtonText: 'Hủy liên kết',
+        cancelButtonText: 'Quay lại',
+        confirmButtonColor: '#ff6b6b',
+        cancelButtonColor: '#6c757d'
+    }).then(result => {
+        if (result.isConfirmed) {
+            runProviderAction(() => firebaseAuth.unlinkProvider(providerId));
+        } else {
+            showSignInMethods();
+        }
+    });
+}
+
+function promptLinkPassword() {
+    Swal.fire({
+        title: 'Thêm mật khẩu',
+        text: `Đặt mật khẩu để đăng nhập bằng ${currentUser.email}`,
+        input: 'password',
+        inputPlaceholder: 'Mật khẩu mới (ít nhất 6 ký tự)',
+        inputAttributes: { autocomplete: 'new-password' },
+        showCancelButton: true,
+        confirmButtonText: 'Thêm',
+        cancelButtonText: 'Quay lại',
+        confirmButtonColor: '#667eea',
+        inputValidator: value => (!value || value.length < 6 ? 'Mật khẩu phải có ít nhất 6 ký tự!' : undefined)
+    }).then(result => {
+        if (result.isConfirmed) {
+            runProviderAction(() => firebaseAuth.linkPassword(result.value));
+        } else {
+            showSignInMethods();
+        }
+    });
+}
+
+// Transaction history
+const TRANSACTION_PAGE_SIZE = 10;
+
+const TRANSACTION_REASONS = {
+    'checkin': 'Điểm danh hằng ngày',
+    'checkin-makeup': 'Điểm danh bù',
+    'checkin-makeup-purchase': 'Mua lượt điểm danh bù',
+    'checkin-makeup-refund': 'Hoàn tiền điểm danh bù',
+    'sync': 'Cộng từ trò chơi',
+    'web-sync': 'Đồng bộ từ trang web'
+};
+
+const TRANSACTION_CURRENCIES = {
+    diamond: { label: 'Kim cương', icon: 'fa-gem' },
+    gold: { label: 'Vàng', icon: 'fa-coins' }
+};
+
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
-function showUserMenu() {
-    // Create dropdown menu for logged in user
-    const existingMenu = document.querySelector('.user-menu');
-    if (existingMenu) {
-        existingMenu.remove();
-        return;
-    }
-    
-    const menu = document.createElement('div');
-    menu.className = 'user-menu';
-    menu.innerHTML = `
-        <div class="user-menu-item" onclick="showPromoCodes()">
-            <i class="fas fa-gift"></i> Mã khuyến mãi
-        </div>
-        <hr>
-        <div class="user-menu-item logout" onclick="handleLogout()">
-            <i class="fas fa-sign-out-alt"></i> Đăng xuất
+function getTransactionReasonLabel(reason) {
+    return TRANSACTION_REASONS[reason] || reason || 'Không rõ';
+}
+
+// Entries matching the selected currency, direction and reason
+function filterTransactions(entries, filters) {
+    return entries.filter(entry =>
+        (filters.currency === 'all' || entry.currency === filters.currency) &&
+        (filters.direction === 'all' || (filters.direction === 'in' ? entry.amount > 0 : entry.amount < 0)) &&
+        (filters.reason === 'all' || entry.reason === filters.reason));
+}
+
+function renderTransactionRow(entry) {
+    const currency = TRANSACTION_CURRENCIES[entry.currency] || { label: entry.currency, icon: 'fa-circle' };
+    const sign = entry.amount > 0 ? '+' : '−';
+    const time = typeof entry.createdAt === 'number'
+        ? new Date(entry.createdAt).toLocaleString('vi-VN')
+        : '—';
+    const balance = Number.isInteger(entry.balance)
+        ? `Số dư: ${entry.balance.toLocaleString()}`
+        : '';
+
+    return `
+        <div class="transaction-row">
+            <div class="transaction-info">
+                <div class="transaction-reason">${escapeHTML(getTransactionReasonLabel(entry.reason))}</div>
+                <div class="transaction-meta">${time} · ${escapeHTML(entry.source)}</div>
+            </div>
+            <div class="transaction-change">
+                <div class="transaction-amount ${entry.amount > 0 ? 'positive' : 'negative'}">
+                    ${sign}${Math.abs(entry.amount).toLocaleString()} <i class="fas ${currency.icon}" title="${escapeHTML(currency.label)}"></i>
+                </div>
+                <div class="transaction-meta">${balance}</div>
+            </div>
         </div>
     `;
-    
-    const loginBtn = document.querySelector('.login-btn');
-    loginBtn.parentNode.appendChild(menu);
-    
-    // Close menu when clicking outside
-    setTimeout(() => {
-        document.addEventListener('click', function closeMenu(e) {
-            if (!menu.contains(e.target) && !loginBtn.contains(e.target)) {
-                menu.remove();
-                document.removeEventListener('click', closeMenu);
-            }
-        });
-    }, 0);
 }
 
-function closeAllModals() {
-    const modals = ['loginModal', 'registerModal', 'forgotPasswordModal', 'resetSuccessModal'];
-    modals.forEach(modalId => {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.style.display = 'none';
+async function showTransactionHistory() {
+    const menu = document.querySelector('.user-menu');
+    if (menu) menu.remove();
+
+    if (!currentUser || !window.playerProfile) {
+        Swal.fire({
+            icon: 'warning',
+            title: 'Chưa đăng nhập!',
+            text: 'Vui lòng đăng nhập để xem lịch sử giao dịch.',
+            confirmButtonColor: '#667eea'
+        });
+        return;
+    }
+
+    Swal.fire({
+        title: 'Đang tải...',
+        allowOutsideClick: false,
+        didOpen: () => {
+            Swal.showLoading();
         }
     });
-    document.body.style.overflow = 'auto';
-}
 
-// Placeholder functions for user menu items
-function showPromoCodes() {
+    let entries;
+    try {
+        entries = await window.playerProfile.loadHistory(currentUser.uid);
+    } catch (error) {
+        console.error('Error loading transaction history:', error);
+        Swal.fire({
+            icon: 'error',
+            title: 'Lỗi!',
+            text: 'Không thể tải lịch sử giao dịch. Vui lòng thử lại sau.',
+            confirmButtonColor: '#667eea'
+        });
+        return;
+    }
+
+    const reasons = [...new Set(entries.map(entry => entry.reason))];
+    const state = { currency: 'all', direction: 'all', reason: 'all', page: 0 };
+
+    const render = () => {
+        const filtered = filterTransactions(entries, state);
+        const pageCount = Math.max(Math.ceil(filtered.length / TRANSACTION_PAGE_SIZE), 1);
+        state.page = Math.min(state.page, pageCount - 1);
+        const pageEntries = filtered.slice(state.page * TRANSACTION_PAGE_SIZE, (state.page + 1) * TRANSACTION_PAGE_SIZE);
+
+        document.getElementById('transactionList').innerHTML = pageEntries.length > 0
+            ? pageEntries.map(renderTransactionRow).join('')
+            : '<div class="transaction-empty">Chưa có giao dịch nào</div>';
+        document.getElementById('transactionPage').textContent = `Trang ${state.page + 1}/${pageCount}`;
+        document.getElementById('transactionPrev').disabled = state.page === 0;
+        document.getElementById('transactionNext').disabled = state.page >= pageCount - 1;
+    };
+
     Swal.fire({
-        title: '<div style="font-size: 1.8rem; font-weight: 700; color: #2c3e50; margin-bottom: 10px;">Mã Khuyến Mãi</div>',
+        title: 'Lịch sử giao dịch',
         html: `
-            <div style="margin: 25px 0;">
-                <!-- Description -->
-                <p style="font-size: 1rem; 
-                          color: #5a6c7d; 
-                          margin-bottom: 30px; 
-                          line-height: 1.6;
-                          font-weight: 400;">
-                    Nhập mã để nhận Kim Cương, Vàng và nhiều phần thưởng khác
-                </p>
-                
-                <!-- Input -->
-                <div style="margin: 0 auto 25px; max-width: 420px;">
-                    <input type="text" 
-                           id="promoCodeInput" 
-                           placeholder="NHẬP MÃ TẠI ĐÂY"
-                           style="width: 100%; 
-                                  padding: 16px 20px; 
-                                  font-size: 1.05rem; 
-                                  border: 2px solid #e1e8ed; 
-                                  border-radius: 12px; 
-                                  outline: none;
-                                  transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-                                  text-transform: uppercase;
-                                  letter-spacing: 3px;
-                                  font-weight: 600;
-                                  color: #2c3e50;
-                                  background: #f8f9fa;
-                                  text-align: center;"
-                           onkeyup="this.value = this.value.toUpperCase()"
-                           onfocus="this.style.borderColor='#667eea'; 
-                                    this.style.background='#ffffff'; 
-                                    this.style.boxShadow='0 0 0 4px rgba(102, 126, 234, 0.1)'"
-                           onblur="this.style.borderColor='#e1e8ed'; 
-                                   this.style.background='#f8f9fa'; 
-                                   this.style.boxShadow='none'">
-                </div>
-                
-                <!-- Note -->
-                <div style="background: #f8f9fa; 
-                            padding: 16px 20px; 
-                            border-radius: 10px; 
-                            border-left: 4px solid #667eea;
-                            margin-top: 25px;">
-                    <p style="margin: 0; 
-                              color: #5a6c7d; 
-                              font-size: 0.92rem; 
-                              line-height: 1.5;">
-                        <span style="color: #667eea; font-weight: 600;">💡 Lưu ý:</span> 
-                        Theo dõi Fanpage và Discord để nhận mã mới nhất
-                    </p>
-                </div>
+            <div class="transaction-filters">
+                <select id="transactionCurrency">
+                    <option value="all">Tất cả tiền tệ</option>
+                    <option value="diamond">Kim cương</option>
+                    <option value="gold">Vàng</option>
+                </select>
+                <select id="transactionDirection">
+                    <option value="all">Nhận & tiêu</option>
+                    <option value="in">Chỉ nhận</option>
+                    <option value="out">Chỉ tiêu</option>
+                </select>
+                <select id="transactionReason">
+                    <option value="all">Mọi lý do</option>
+                    ${reasons.map(reason => `<option value="${escapeHTML(reason)}">${escapeHTML(getTransactionReasonLabel(reason))}</option>`).join('')}
+                </select>
+            </div>
+            <div class="transaction-list" id="transactionList"></div>
+            <div class="transaction-pager">
+                <button type="button" id="transactionPrev"><i class="fas fa-chevron-left"></i></button>
+                <span id="transactionPage"></span>
+                <button type="button" id="transactionNext"><i class="fas fa-chevron-right"></i></button>
             </div>
         `,
-        showCancelButton: true,
-        confirmButtonText: 'Nhận Quà',
-        cancelButtonText: 'Đóng',
+        confirmButtonText: 'Đóng',
         confirmButtonColor: '#667eea',
-        cancelButtonColor: '#95a5a6',
-        buttonsStyling: true,
-        width: '500px',
-        padding: '35px',
-        background: '#ffffff',
-        backdrop: 'rgba(44, 62, 80, 0.4)',
-        customClass: {
-            confirmButton: 'swal2-promo-confirm',
-            cancelButton: 'swal2-promo-cancel',
-            popup: 'swal2-promo-popup'
-        },
+        width: '600px',
         didOpen: () => {
-            const style = document.createElement('style');
-            style.innerHTML = `
-                .swal2-promo-popup {
-                    border-radius: 16px !important;
-                    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.15) !important;
-                }
-                .swal2-promo-confirm {
-                    padding: 13px 35px !important;
-                    border-radius: 10px !important;
-                    font-weight: 600 !important;
-                    font-size: 1rem !important;
-                    transition: all 0.3s ease !important;
-                    box-shadow: 0 4px 12px rgba(102, 126, 234, 0.3) !important;
-                }
-                .swal2-promo-confirm:hover {
-                    transform: translateY(-2px);
-                    box-shadow: 0 6px 16px rgba(102, 126, 234, 0.4) !important;
-                }
-                .swal2-promo-cancel {
-                    padding: 13px 30px !important;
-                    border-radius: 10px !important;
-                    font-weight: 500 !important;
-                    font-size: 0.95rem !important;
-                    transition: all 0.3s ease !important;
-                }
-                .swal2-promo-cancel:hover {
-                    background: #7f8c8d !important;
-                }
-            `;
-            document.head.appendChild(style);
-            
-            setTimeout(() => {
-                document.getElementById('promoCodeInput').focus();
-            }, 100);
-        },
-        preConfirm: () => {
-            const code = document.getElementById('promoCodeInput').value.trim();
-            if (!code) {
-                Swal.showValidationMessage('Vui lòng nhập mã khuyến mãi');
-                return false;
-            }
-            return code;
-        }
-    }).then((result) => {
-        if (result.isConfirmed) {
-            Swal.fire({
-                title: 'Đang xử lý...',
-                html: '<div style="color: #667eea; font-size: 2.5rem;">⏳</div>',
-                showConfirmButton: false,
-                allowOutsideClick: false,
-                timer: 1000,
-                didOpen: () => {
-                    Swal.showLoading();
-                }
-            }).then(() => {
-                // TODO: Implement promo code validation and reward
-                Swal.fire({
-                    icon: 'error',
-                    title: 'Mã không hợp lệ',
-                    html: `
-                        <p style="font-size: 1rem; color: #5a6c7d; margin: 15px 0; line-height: 1.5;">
-                            Mã <strong style="color: #e74c3c;">${result.value}</strong> không tồn tại hoặc đã hết hạn
-                        </p>
-                    `,
-                    confirmButtonText: 'Đã hiểu',
-                    confirmButtonColor: '#667eea',
-                    width: '450px'
+            ['currency', 'direction', 'reason'].forEach(filter => {
+                const select = document.getElementById(`transaction${filter.charAt(0).toUpperCase()}${filter.slice(1)}`);
+                select.addEventListener('change', () => {
+                    state[filter] = select.value;
+                    state.page = 0;
+                    render();
                 });
             });
+            document.getElementById('transactionPrev').addEventListener('click', () => {
+                state.page--;
+                render();
+            });
+            document.getElementById('transactionNext').addEventListener('click', () => {
+                state.page++;
+                render();
+            });
+            render();
         }
     });
-    
+}
+
+// Read-only view of the player's farm as saved by the game
+async function showFarmPreview() {
     const menu = document.querySelector('.user-menu');
     if (menu) menu.remove();
-}
 
+    if (!currentUser || !window.playerProfile || !window.FarmPreview) {
+        Swal.fire({
+            icon: 'warning',
+            title: 'Chưa đăng nhập!',
+            text: 'Vui lòng đăng nhập để xem khu vườn của bạn.',
+            confirmButtonColor: '#667eea'
+        });
+        return;
+    }
+
+    Swal.fire({
+        title: 'Đang tải...',
+        allowOutsideClick: false,
+        didOpen: () => {
+            Swal.showLoading();
+        }
+    });
+
+    let record;
+    try {
+        record = await window.playerProfile.load(currentUser.uid);
+    } catch (error) {
+        console.error('Error loading farm:', error);
+        Swal.fire({
+            icon: 'error',
+            title: 'Lỗi!',
+            text: 'Không thể tải khu vườn. Vui lòng thử lại sau.',
+            confirmButtonColor: '#667eea'
+        });
+        return;
+    }
+
+    let preview = null;
+    Swal.fire({
+        title: 'Khu vườn của tôi',
+        html: `
+            <div class="farm-preview">
+                <canvas id="farmPreviewCanvas" class="farm-preview-canvas"></canvas>
+                <div class="farm-preview-empty" id="farmPreviewEmpty" style="display: none;">
+                    <i class="fas fa-seedling"></i>
+                    <p>Khu vườn của bạn chưa có gì. Hãy vào game để bắt đầu trồng trọt!</p>
+                </div>
+                <div class="farm-preview-controls">
+                    <button type="button" id="farmZoomIn" title="Phóng to"><i class="fas fa-plus"></i></button>
+                    <button type="button" id="farmZoomOut" title="Thu nhỏ"><i class="fas fa-minus"></i></button>
+                    <button type="button" id="farmFit" title="Xem toàn bộ"><i class="fas fa-expand"></i></button>
+                </div>
+            </div>
+            <p class="farm-preview-note" id="farmPreviewNote">Kéo để di chuyển, cuộn chuột để phóng to/thu nhỏ</p>
+        `,
+        confirmButtonText: 'Đóng',
+        confirmButtonColor: '#667eea',
+        width: '720px',
+        didOpen: async () => {
+            preview = new window.FarmPreview(document.getElementById('farmPreviewCanvas'));
+            document.getElementById('farmZoomIn').addEventListener('click', () => preview.zoomBy(1.25));
+            document.getElementById('farmZoomOut').addEventListener('click', () => preview.zoomBy(0.8));
+            document.getElementById('farmFit').addEventListener('click', () => preview.fitToView());
+
+            const map = await preview.setMap(record ? record.MapInGame : null);
+            if (map.tiles.length === 0) {
+                document.getElementById('farmPreviewEmpty').style.display = 'flex';
+                document.getElementById('farmPreviewNote').style.display = 'none';
+            } else if (map.skipped > 0) {
+                document.getElementById('farmPreviewNote').textContent =
+                    `Không thể hiển thị ${map.skipped} ô đất bị lỗi dữ liệu`;
+            }
+        },
+        willClose: () => {
+            if (preview) {
+                preview.destroy();
+            }
+        }
+    });
+}
 
 async function handleLogout() {
+    const isGuest = firebaseAuth.isGuest();
     Swal.fire({
-        icon: 'question',
-        title: 'Xác nhận đăng xuất',
-        text: 'Bạn có chắc chắn muốn đăng xuất khỏi Vườn Rực Rỡ?',
+        icon: isGuest ? 'warning' : 'question',
+        title: isGuest ? 'Thoát chế độ khách?' : 'Xác nhận đăng xuất',
+        text: isGuest
+            ? 'Toàn bộ vàng, kim cương và lịch sử điểm danh của phiên khách sẽ bị xóa. Hãy tạo tài khoản nếu muốn giữ lại!'
+            : 'Bạn có chắc chắn muốn đăng xuất khỏi Vườn Rực Rỡ?',
         showCancelButton: true,
         confirmButtonText: 'Đăng xuất',
         cancelButtonText: 'Ở lại',
@@ -606,6 +2946,40 @@ async function handleLogout() {
     if (menu) menu.remove();
 }
 
+async function handleLogoutEverywhere() {
+    const menu = document.querySelector('.user-menu');
+    if (menu) menu.remove();
+
+    const confirmation = await Swal.fire({
+        icon: 'question',
+        title: 'Đăng xuất mọi thiết bị?',
+        text: 'Tài khoản sẽ bị đăng xuất trên tất cả máy tính và điện thoại, kể cả thiết bị này. Các thiết bị khác có thể mất tới 1 giờ để bị đăng xuất hoàn toàn.',
+        showCancelButton: true,
+        confirmButtonText: 'Đăng xuất tất cả',
+        cancelButtonText: 'Hủy',
+        confirmButtonColor: '#ff6b6b',
+        cancelButtonColor: '#6c757d'
+    });
+    if (!confirmation.isConfirmed) {
+        return;
+    }
+
+    Swal.fire({
+        title: 'Đang đăng xuất...',
+        allowOutsideClick: false,
+        didOpen: () => {
+            Swal.showLoading();
+        }
+    });
+    const result = await firebaseAuth.logoutEverywhere();
+    Swal.fire({
+        icon: result.success ? 'success' : 'error',
+        title: result.success ? 'Đã đăng xuất!' : 'Lỗi đăng xuất!',
+        text: result.message,
+        confirmButtonColor: '#4a90e2'
+    });
+}
+
 // Make functions globally available
 window.firebaseAuth = firebaseAuth;
 window.showLoading = showLoading;
@@ -614,6 +2988,15 @@ window.showError = showError;
 window.showSuccess = showSuccess;
 window.showUserMenu = showUserMenu;
 window.handleLogout = handleLogout;
+window.promptGuestUpgrade = promptGuestUpgrade;
+window.handleLogoutEverywhere = handleLogoutEverywhere;
 window.showPromoCodes = showPromoCodes;
+window.showTransactionHistory = showTransactionHistory;
+window.showFarmPreview = showFarmPreview;
+window.showSignInMethods = showSignInMethods;
+window.showAccountSettings = showAccountSettings;
+window.requireVerifiedEmail = requireVerifiedEmail;
+window.resendVerificationEmail = resendVerificationEmail;
+window.checkEmailVerified = checkEmailVerified;
 
 console.log('🔥 Firebase Auth initialized successfully!');
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Firebase Environment for Vườn Rực Rỡ
+ * Decides before Firebase starts whether the site talks to production or to the
+ * local Emulator Suite (Auth, Firestore, Realtime Database, Storage).
+ *
+ * Emulator mode is on when:
+ *   - the page is opened with ?emulator=1 (remembered for the tab, ?emulator=0 turns it off), or
+ *   - window.FIREBASE_ENV_CONFIG = { useEmulators: true } is set before this script
+ * Ports match firebase.json. Emulator mode also swaps in a demo- project id, which the
+ * emulators never forward to Google, so a service that is not connected fails instead
+ * of touching production data.
+ */
+
+const EMULATOR_SESSION_KEY = 'langhoaruc_emulator';
+
+class FirebaseEnvironment {
+    constructor(options = {}) {
+        this.host = options.host || '127.0.0.1';
+        this.projectId = options.projectId || 'demo-vuonrucro';
+        this.ports = {
+            auth: 9099,
+            firestore: 8080,
+            database: 9000,
+            storage: 9199,
+            ...(options.ports || {})
+        };
+        this.useEmulators = FirebaseEnvironment.readSwitch(options.useEmulators === true);
+    }
+
+    // ?emulator=1|0 wins and is kept for the tab; otherwise the tab's last choice, then the config
+    static readSwitch(fallback) {
+        const value = new URLSearchParams(window.location.search).get('emulator');
+        if (value !== null) {
+            const enabled = value !== '0' && value !== 'false';
+            sessionStorage.setItem(EMULATOR_SESSION_KEY, enabled ? '1' : '0');
+            return enabled;
+        }
+        const remembered = sessionStorage.getItem(EMULATOR_SESSION_KEY);
+        return remembered === null ? fallback : remembered === '1';
+    }
+
+    // Production config as is, or the same config pointed at the demo project
+    getConfig(productionConfig) {
+        if (!this.useEmulators) {
+            return productionConfig;
+        }
+        return {
+            ...productionConfig,
+            projectId: this.projectId,
+            authDomain: `${this.projectId}.firebaseapp.com`,
+            databaseURL: `http://${this.host}:${this.ports.database}?ns=${this.projectId}`,
+            storageBucket: `${this.projectId}.appspot.com`,
+            measurementId: undefined
+        };
+    }
+
+    // Base URL of one emulator, e.g. for connectAuthEmulator
+    getEmulatorURL(service) {
+        return `http://${this.host}:${this.ports[service]}`;
+    }
+
+    // Leave emulator mode and reload against production
+    disable() {
+        sessionStorage.setItem(EMULATOR_SESSION_KEY, '0');
+        const url = new URL(window.location.href);
+        url.searchParams.delete('emulator');
+        window.location.replace(url.toString());
+    }
+
+    // Fixed "EMULATOR" badge so nobody mistakes local data for production
+    showBadge() {
+        if (!this.useEmulators || document.getElementById('emulatorBadge')) {
+            return;
+        }
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.id = 'emulatorBadge';
+        badge.className = 'emulator-badge';
+        badge.textContent = 'EMULATOR';
+        badge.title = `Đang dùng Firebase Emulator (${this.host}, project ${this.projectId}). Nhấn để quay về dữ liệu thật.`;
+        badge.addEventListener('click', () => {
+            if (confirm('Thoát chế độ Emulator và dùng dữ liệu thật?')) {
+                this.disable();
+            }
+        });
+        document.body.appendChild(badge);
+    }
+}
+
+window.FirebaseEnvironment = FirebaseEnvironment;
+window.firebaseEnv = new FirebaseEnvironment(window.FIREBASE_ENV_CONFIG || {});
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.firebaseEnv.showBadge());
+} else {
+    window.firebaseEnv.showBadge();
+}
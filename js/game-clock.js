@@ -0,0 +1,117 @@
+/**
+ * Game Clock for Vườn Rực Rỡ
+ * Maps real time onto game days in a fixed timezone with a daily reset hour,
+ * so every player sees the same day boundary regardless of device settings.
+ */
+
+class GameClock {
+    constructor(options = {}) {
+        this.timeZone = options.timeZone || 'Asia/Ho_Chi_Minh';
+        this.resetHour = options.resetHour ?? 0;
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    // Wall-clock parts of an instant in the game timezone
+    getZonedParts(date = new Date()) {
+        const parts = {};
+        this.formatter.formatToParts(date).forEach(({ type, value }) => {
+            if (type !== 'literal') {
+                parts[type] = parseInt(value, 10);
+            }
+        });
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+
+    // Game day an instant belongs to: { year, month (1-12), day }
+    getGameDay(date = new Date()) {
+        const shifted = new Date(date.getTime() - this.resetHour * 60 * 60 * 1000);
+        const { year, month, day } = this.getZonedParts(shifted);
+        return { year, month, day };
+    }
+
+    // Game day as YYYY-MM-DD
+    getDateString(date = new Date()) {
+        const { year, month, day } = this.getGameDay(date);
+        return GameClock.formatDate(year, month, day);
+    }
+
+    // Game month as YYYY-MM
+    getMonthKey(date = new Date()) {
+        const { year, month } = this.getGameDay(date);
+        return `${year}-${String(month).padStart(2, '0')}`;
+    }
+
+    // Shift a YYYY-MM-DD string by whole days
+    addDays(dateString, days) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        const shifted = new Date(Date.UTC(year, month - 1, day + days));
+        return GameClock.formatDate(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate());
+    }
+
+    // Shift a YYYY-MM month key by whole months
+    addMonths(monthKey, months) {
+        const [year, month] = monthKey.split('-').map(Number);
+        const shifted = new Date(Date.UTC(year, month - 1 + months, 1));
+        return `${shifted.getUTCFullYear()}-${String(shifted.getUTCMonth() + 1).padStart(2, '0')}`;
+    }
+
+    // Game day before the one containing the given instant
+    getPreviousDateString(date = new Date()) {
+        return this.addDays(this.getDateString(date), -1);
+    }
+
+    // Number of days in a month (month is 1-12)
+    getDaysInMonth(year, month) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    // Weekday of the first day of a month (0 = Sunday)
+    getFirstWeekday(year, month) {
+        return new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    }
+
+    // Offset of the game timezone from UTC at the given instant, in milliseconds
+    getTimeZoneOffset(date = new Date()) {
+        const { year, month, day, hour, minute, second } = this.getZonedParts(date);
+        const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+        return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    // Instant at which the next game day starts. The offset is taken at the boundary
+    // itself, which differs from the current one across a daylight saving change.
+    getNextResetTime(date = new Date()) {
+        const { year, month, day } = this.getGameDay(date);
+        const boundary = Date.UTC(year, month - 1, day + 1, this.resetHour);
+        const estimate = boundary - this.getTimeZoneOffset(date);
+        return new Date(boundary - this.getTimeZoneOffset(new Date(estimate)));
+    }
+
+    // Milliseconds until the next game day starts
+    msUntilNextReset(date = new Date()) {
+        return Math.max(this.getNextResetTime(date).getTime() - date.getTime(), 0);
+    }
+
+    static formatDate(year, month, day) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+}
+
+// Create global game clock (override with window.GAME_CLOCK_CONFIG = { timeZone, resetHour })
+window.GameClock = GameClock;
+window.gameClock = new GameClock(window.GAME_CLOCK_CONFIG || {});
@@ -0,0 +1,157 @@
+/**
+ * Grant Outbox for Vườn Rực Rỡ
+ * Keeps reward grants on the server until they have been applied, so any device
+ * the player signs in on can replay them. The page supplies the storage callbacks
+ * (index.html keeps grants at CheckinLedger/{uid}/pendingGrants/{id}); a ledger
+ * claim writes its grant there in the same update as the claim itself.
+ * Pending grants are replayed on next load, when the browser comes back online and
+ * when the signed-in user changes. Every grant carries a stable id; the apply
+ * callback must be idempotent for that id so a replay never pays out twice.
+ */
+
+class GrantOutbox {
+    constructor(options = {}) {
+        this.apply = options.apply;
+        // load(uid) -> [{ id, rewards, source, createdAt, history? }], store(uid, entry), remove(uid, id)
+        this.load = options.load;
+        this.store = options.store;
+        this.remove = options.remove;
+        this.getUserId = options.getUserId || (() => null);
+        this.onChange = options.onChange || (() => {});
+        this.onApplied = options.onApplied || (() => {});
+        this.entries = [];
+        this.processing = null;
+
+        window.addEventListener('online', () => this.process());
+    }
+
+    // Pending grants of the signed-in user, as last read from the server
+    getEntries(uid = this.getUserId()) {
+        return uid ? this.entries.filter(entry => entry.uid === uid) : [];
+    }
+
+    setEntries(entries) {
+        this.entries = entries;
+        this.onChange(this.getEntries());
+    }
+
+    // Number of grants waiting for the signed-in user
+    count() {
+        return this.getEntries().length;
+    }
+
+    // Keep a grant in the local view of the outbox; an entry with the same id is kept as-is
+    track(grant) {
+        const uid = grant.uid || this.getUserId();
+        if (!uid) {
+            throw new Error('No user logged in');
+        }
+
+        const existing = this.entries.find(entry => entry.uid === uid && entry.id === grant.id);
+        if (existing) {
+            return existing;
+        }
+
+        const entry = {
+            createdAt: Date.now(),
+            attempts: 0,
+            lastError: null,
+            ...grant,
+            uid
+        };
+        this.setEntries([...this.entries, entry]);
+        return entry;
+    }
+
+    // What is kept on the server for an entry (without the local retry bookkeeping)
+    static toStored({ uid, attempts, lastError, ...grant }) {
+        return grant;
+    }
+
+    // Write a grant to the server and try to apply it right away.
+    // Resolves to true once applied, false if it stays pending; rejects if it could not be stored.
+    async send(grant) {
+        const entry = this.track(grant);
+        try {
+            await this.store(entry.uid, GrantOutbox.toStored(entry));
+        } catch (error) {
+            this.setEntries(this.entries.filter(item => item !== entry));
+            throw error;
+        }
+        return this.applyEntry(entry);
+    }
+
+    // Apply a grant that is already pending on the server (written with a ledger claim).
+    // Resolves to true once applied, false if it stays pending.
+    async deliver(grant) {
+        return this.applyEntry(this.track(grant));
+    }
+
+    // Apply one entry and clear it from the server; on failure it stays pending with the error recorded
+    async applyEntry(entry) {
+        try {
+            await this.apply(entry);
+        } catch (error) {
+            console.error(`Grant ${entry.id} failed, will retry later:`, error);
+            this.setEntries(this.entries.map(item => (item.uid === entry.uid && item.id === entry.id
+                ? { ...item, attempts: item.attempts + 1, lastError: error.message || String(error) }
+                : item)));
+            return false;
+        }
+
+        this.setEntries(this.entries.filter(item => !(item.uid === entry.uid && item.id === entry.id)));
+        try {
+            await this.remove(entry.uid, entry.id);
+        } catch (error) {
+            // Applied already; a replay of the leftover entry is a no-op
+            console.error(`Grant ${entry.id} applied but still marked pending:`, error);
+        }
+        return true;
+    }
+
+    // Replay every pending grant of the signed-in user (one run at a time).
+    // Resolves to the number of grants applied.
+    process() {
+        if (this.processing) {
+            return this.processing;
+        }
+
+        this.processing = (async () => {
+            const uid = this.getUserId();
+            if (!uid || navigator.onLine === false) {
+                return 0;
+            }
+
+            try {
+                const pending = await this.load(uid);
+                const known = this.getEntries(uid);
+                this.setEntries(pending.map(grant => known.find(entry => entry.id === grant.id) || {
+                    attempts: 0,
+                    lastError: null,
+                    ...grant,
+                    uid
+                }));
+            } catch (error) {
+                console.error('Error loading pending grants:', error);
+                return 0;
+            }
+
+            let applied = 0;
+            for (const entry of this.getEntries(uid)) {
+                if (await this.applyEntry(entry)) {
+                    applied++;
+                }
+            }
+            if (applied > 0) {
+                this.onApplied(applied);
+            }
+            return applied;
+        })().finally(() => {
+            this.processing = null;
+        });
+
+        return this.processing;
+    }
+}
+
+window.GrantOutbox = GrantOutbox;
@@ -0,0 +1,412 @@
+// Import Firebase modules from CDN
+import {
+    ref,
+    get,
+    set,
+    update,
+    push,
+    query,
+    orderByChild,
+    limitToLast,
+    runTransaction,
+    serverTimestamp,
+    increment
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
+
+// Wait for Firebase to be initialized
+await new Promise(resolve => {
+    const checkFirebase = () => {
+        if (window.firebaseRTDB) {
+            resolve();
+        } else {
+            setTimeout(checkFirebase, 100);
+        }
+    };
+    checkFirebase();
+});
+
+const rtdb = window.firebaseRTDB;
+
+// Player records live at Users/{uid} and are shared with the Unity client
+const PLAYERS_PATH = 'Users';
+
+// Version 1: the whole record stored as one JSON string
+// Version 2: structured children with SchemaVersion
+const PLAYER_SCHEMA_VERSION = 2;
+
+// Starting balances for a record created from the website
+const NEW_PLAYER_GOLD = 100;
+const NEW_PLAYER_DIAMOND = 0;
+
+// Grant ids remembered per player so replayed grants are applied once
+const APPLIED_GRANTS_LIMIT = 100;
+
+const MAX_NAME_LENGTH = 50;
+
+// One entry per balance change: CurrencyHistory/{uid}/{entryId}
+const CURRENCY_HISTORY_PATH = 'CurrencyHistory';
+
+// Everything the site and the game keep per player, removed together on account deletion
+const PLAYER_DATA_PATHS = [PLAYERS_PATH, CURRENCY_HISTORY_PATH, 'CheckinLedger', 'ItemInbox'];
+
+// Most recent entries fetched for the history view
+const HISTORY_FETCH_LIMIT = 500;
+
+// Where a balance change came from when the caller does not say
+const DEFAULT_HISTORY_SOURCE = 'web';
+
+// Coerce a balance into a non-negative integer
+function toBalance(value) {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+// Decode a stored record (JSON string or object) into plain data
+function decodeRecord(raw) {
+    if (raw === null || raw === undefined) {
+        return null;
+    }
+    if (typeof raw === 'string') {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.error('Unreadable player record, starting from defaults:', error);
+            return {};
+        }
+    }
+    return raw;
+}
+
+// Coerce the fields the site uses to their expected type; defaults only seed a missing record.
+// Other fields the Unity client keeps in the record are carried over untouched.
+function normalizeRecord(raw, defaults = {}) {
+    const data = decodeRecord(raw) ?? defaults;
+    const mapInGame = data.MapInGame && typeof data.MapInGame === 'object'
+        ? data.MapInGame
+        : { lstTilemapDetail: [] };
+
+    return {
+        ...data,
+        SchemaVersion: PLAYER_SCHEMA_VERSION,
+        Name: String(data.Name || 'User').slice(0, MAX_NAME_LENGTH),
+        Gold: toBalance(data.Gold),
+        Diamond: toBalance(data.Diamond),
+        MapInGame: mapInGame,
+        AppliedGrants: { ...(data.AppliedGrants || {}) }
+    };
+}
+
+// Reject records that would corrupt the player's data
+function validateRecord(record) {
+    if (typeof record.Name !== 'string' || record.Name.trim() === '') {
+        throw new Error('Player name must not be empty');
+    }
+    if (record.Name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Player name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    ['Gold', 'Diamond'].forEach(field => {
+        if (!Number.isInteger(record[field]) || record[field] < 0) {
+            throw new Error(`${field} must be a non-negative integer`);
+        }
+    });
+    if (!record.MapInGame || typeof record.MapInGame !== 'object') {
+        throw new Error('MapInGame must be an object');
+    }
+}
+
+// Drop the oldest applied grant ids once the list is full
+function pruneAppliedGrants(appliedGrants) {
+    const ids = Object.keys(appliedGrants).sort((a, b) => appliedGrants[a] - appliedGrants[b]);
+    ids.slice(0, Math.max(ids.length - APPLIED_GRANTS_LIMIT, 0)).forEach(id => {
+        delete appliedGrants[id];
+    });
+    return appliedGrants;
+}
+
+function playerRef(uid) {
+    if (!uid) {
+        throw new Error('No user logged in');
+    }
+    return ref(rtdb, `${PLAYERS_PATH}/${uid}`);
+}
+
+function historyRef(uid, entryId) {
+    if (!uid) {
+        throw new Error('No user logged in');
+    }
+    return ref(rtdb, entryId ? `${CURRENCY_HISTORY_PATH}/${uid}/${entryId}` : `${CURRENCY_HISTORY_PATH}/${uid}`);
+}
+
+// History entries for a balance change, one per currency that moved.
+// Entries of a grant or spend are keyed by its id so a replay overwrites instead of duplicating.
+function buildHistoryEntries(uid, changes, { reason, source, grantId, operationId, record }) {
+    const key = operationId || grantId;
+    return Object.entries(changes)
+        .filter(([, amount]) => amount !== 0)
+        .map(([currency, amount]) => ({
+            id: key ? `${key}_${currency}` : push(historyRef(uid)).key,
+            entry: {
+                currency,
+                amount,
+                balance: record ? record[currency === 'gold' ? 'Gold' : 'Diamond'] : null,
+                reason: reason || 'unknown',
+                source: source || DEFAULT_HISTORY_SOURCE,
+                grantId: grantId || null,
+                createdAt: serverTimestamp()
+            }
+        }));
+}
+
+// Player Profile Repository
+export const playerProfile = {
+    schemaVersion: PLAYER_SCHEMA_VERSION,
+
+    // Read a player record. Old string-encoded records are normalized in memory only:
+    // the Unity client still writes them, so a read must not rewrite the stored format.
+    // Resolves to the normalized record, or null if the player has none.
+    async load(uid) {
+        const snapshot = await get(playerRef(uid));
+        return snapshot.exists() ? normalizeRecord(snapshot.val()) : null;
+    },
+
+    // Rewrite a record in the current schema (structured children). Every update() does
+    // this as part of its write; call it directly only for a deliberate one-off migration.
+    async migrate(uid) {
+        const result = await this.update(uid, record => record);
+        console.log(`✅ Player record migrated to schema v${PLAYER_SCHEMA_VERSION}`);
+        return result.record;
+    },
+
+    // Read-modify-write in one transaction.
+    // mutator(record) returns the new record, or undefined to leave the record untouched.
+    // options.defaults seeds a record that does not exist yet.
+    // Resolves to { committed, record }.
+    async update(uid, mutator, options = {}) {
+        const defaults = {
+            Gold: NEW_PLAYER_GOLD,
+            Diamond: NEW_PLAYER_DIAMOND,
+            ...(options.defaults || {})
+        };
+        let validationError = null;
+
+        const result = await runTransaction(playerRef(uid), (raw) => {
+            const record = normalizeRecord(raw, defaults);
+            const next = mutator(record);
+            if (next === undefined) {
+                // A null value may just be an empty local cache: write nothing so the
+                // server answers with the real record instead of aborting on a guess
+                return raw === null ? null : undefined;
+            }
+
+            const normalized = normalizeRecord(next, defaults);
+            try {
+                validateRecord(normalized);
+            } catch (error) {
+                validationError = error;
+                return;
+            }
+            validationError = null;
+            return normalized;
+        });
+
+        if (validationError) {
+            throw validationError;
+        }
+
+        return {
+            committed: result.committed,
+            record: result.snapshot.exists() ? normalizeRecord(result.snapshot.val()) : null
+        };
+    },
+
+    // Add Gold and Diamond. Every grant has an id and is applied at most once: the id is
+    // recorded in AppliedGrants, and its history entries (which the Unity client never
+    // rewrites) are checked too in case the game dropped AppliedGrants from the record.
+    // reason/source are written to the currency history with the new balance; if that write
+    // fails the grant fails, so the outbox replays it and the replay fills the history in.
+    // database.rules.json only lets Diamond grow by the diamonds of a grant still pending in
+    // CheckinLedger/{uid}/pendingGrants, named in the record's LastGrant.
+    // Resolves to { applied, record }; applied is false when the grant id was already used.
+    async addCurrency(uid, { gold = 0, diamond = 0, grantId, name, reason, source } = {}) {
+        if (toBalance(gold) !== gold || toBalance(diamond) !== diamond) {
+            throw new Error('Currency grants must be non-negative integers');
+        }
+        if (!grantId) {
+            throw new Error('Currency grants need an id so they are applied and recorded once');
+        }
+
+        if (await this.hasGrantHistory(uid, grantId, { gold, diamond })) {
+            return { applied: false, record: await this.load(uid) };
+        }
+
+        let alreadyApplied = false;
+        const result = await this.update(uid, record => {
+            if (record.AppliedGrants[grantId]) {
+                alreadyApplied = true;
+                return;
+            }
+
+            alreadyApplied = false;
+            record.Gold += gold;
+            record.Diamond += diamond;
+            record.AppliedGrants[grantId] = Date.now();
+            record.LastGrant = grantId;
+            pruneAppliedGrants(record.AppliedGrants);
+            return record;
+        }, { defaults: { Name: name } });
+
+        if (!alreadyApplied && !result.committed) {
+            throw new Error('Currency transaction was not committed');
+        }
+
+        const changes = { gold, diamond };
+        if (alreadyApplied) {
+            await this.ensureHistory(uid, changes, { reason, source, grantId });
+        } else {
+            await this.recordHistory(uid, changes, { reason, source, grantId, record: result.record });
+        }
+        return { applied: !alreadyApplied, record: result.record };
+    },
+
+    // Spend Diamond without going below zero; the spend is written to the currency history
+    // under its spendId. The Diamond stays spent if that write fails: historyPending then
+    // holds { id, changes, reason, source } for the caller to replay with ensureHistory.
+    // Resolves to { success, insufficient, record, historyPending }.
+    async spendDiamond(uid, amount, { reason, source, spendId = `spend_${push(historyRef(uid)).key}` } = {}) {
+        if (toBalance(amount) !== amount) {
+            throw new Error('Diamond cost must be a non-negative integer');
+        }
+
+        let insufficient = false;
+        const result = await this.update(uid, record => {
+            if (record.Diamond < amount) {
+                insufficient = true;
+                return;
+            }
+            insufficient = false;
+            record.Diamond -= amount;
+            return record;
+        });
+
+        const success = result.committed && !insufficient;
+        let historyPending = null;
+        if (success) {
+            const changes = { diamond: -amount };
+            try {
+                await this.recordHistory(uid, changes, { reason, source, operationId: spendId, record: result.record });
+            } catch (error) {
+                // The Diamond is already spent; a missing history line must not undo the purchase
+                console.error('Error recording currency history, will retry:', error);
+                historyPending = { id: spendId, changes, reason: reason || null, source: source || null };
+            }
+        }
+
+        return {
+            success,
+            insufficient,
+            record: result.record,
+            historyPending
+        };
+    },
+
+    // Paths that spend Diamond as part of a larger multi-path update: the caller adds what the
+    // Diamond pays for and commits everything with one update(), so the charge cannot land
+    // without it. The spend's history line is keyed by spendId, which must be stable for what
+    // is bought. A string-encoded record is rewritten in the current schema first (a child
+    // write would replace it); database.rules.json refuses the update if Diamond would go
+    // below zero. Resolves to { updates, insufficient, record }.
+    async prepareSpend(uid, amount, { reason, source, spendId } = {}) {
+        if (toBalance(amount) !== amount) {
+            throw new Error('Diamond cost must be a non-negative integer');
+        }
+        if (!spendId) {
+            throw new Error('Diamond spends need a stable id so they are charged once');
+        }
+
+        const snapshot = await get(playerRef(uid));
+        const record = typeof snapshot.val() === 'string'
+            ? await this.migrate(uid)
+            : (snapshot.exists() ? normalizeRecord(snapshot.val()) : null);
+        if (!record || record.Diamond < amount) {
+            return { updates: {}, insufficient: true, record };
+        }
+
+        const updates = { [`${PLAYERS_PATH}/${uid}/Diamond`]: increment(-amount) };
+        const after = { ...record, Diamond: record.Diamond - amount };
+        buildHistoryEntries(uid, { diamond: -amount }, { reason, source, operationId: spendId, record: after }).forEach(({ id, entry }) => {
+            updates[`${CURRENCY_HISTORY_PATH}/${uid}/${id}`] = entry;
+        });
+        return { updates, insufficient: false, record };
+    },
+
+    // Whether a grant already left history entries, which only happens after it was applied
+    async hasGrantHistory(uid, grantId, changes) {
+        const currencies = Object.keys(changes).filter(currency => changes[currency] !== 0);
+        const snapshots = await Promise.all(currencies.map(currency => get(historyRef(uid, `${grantId}_${currency}`))));
+        return snapshots.some(snapshot => snapshot.exists());
+    },
+
+    // Write history entries for a committed balance change, all currencies in one update
+    async recordHistory(uid, changes, options = {}) {
+        const updates = {};
+        buildHistoryEntries(uid, changes, options).forEach(({ id, entry }) => {
+            updates[`${CURRENCY_HISTORY_PATH}/${uid}/${id}`] = entry;
+        });
+        await update(ref(rtdb), updates);
+    },
+
+    // Write the history entries of a grant or spend that are not there yet (balance unknown)
+    async ensureHistory(uid, changes, options = {}) {
+        const entries = buildHistoryEntries(uid, changes, options);
+        await Promise.all(entries.map(async ({ id, entry }) => {
+            const snapshot = await get(historyRef(uid, id));
+            if (!snapshot.exists()) {
+                await set(historyRef(uid, id), entry);
+            }
+        }));
+    },
+
+    // Most recent currency history entries, newest first.
+    // Each entry: { id, currency, amount, balance, reason, source, grantId, createdAt }
+    async loadHistory(uid, limit = HISTORY_FETCH_LIMIT) {
+        const snapshot = await get(query(historyRef(uid), orderByChild('createdAt'), limitToLast(limit)));
+        const entries = [];
+        snapshot.forEach(child => {
+            entries.push({ id: child.key, ...child.val() });
+        });
+        return entries.reverse();
+    },
+
+    // Rename the player
+    async setName(uid, name) {
+        const trimmed = String(name || '').trim();
+        return this.update(uid, record => ({ ...record, Name: trimmed }), { defaults: { Name: trimmed } });
+    },
+
+    // Remove all of a player's data in one multi-path write
+    async deletePlayerData(uid) {
+        if (!uid) {
+            throw new Error('No user logged in');
+        }
+        const updates = {};
+        PLAYER_DATA_PATHS.forEach(path => {
+            updates[`${path}/${uid}`] = null;
+        });
+        await update(ref(rtdb), updates);
+    },
+
+    // Lower-case view used by the website UI
+    toPlayerData(record) {
+        return {
+            name: record.Name,
+            gold: record.Gold,
+            diamond: record.Diamond,
+            mapInGame: record.MapInGame
+        };
+    }
+};
+
+// Make repository globally available
+window.playerProfile = playerProfile;
+
+console.log('👤 Player profile repository initialized!');
@@ -0,0 +1,203 @@
+/**
+ * Reward Calendar for Vườn Rực Rỡ
+ * Loads the check-in reward schedule published by live-ops for each month.
+ * Lookup order: Realtime Database RewardSchedules/{YYYY-MM}, then the month
+ * in data/reward-schedules.json, then its "default" schedule.
+ *
+ * Schedule format:
+ * {
+ *   "theme": { "name": "Lễ hội Trung Thu", "icon": "🏮", "color": "#f59e0b" },
+ *   "cycleLength": 30,
+ *   "specialDays": [7, 14, 21, 30],
+ *   "rewards": {
+ *     "1": 10,                                        // shorthand for diamonds
+ *     "7": [
+ *       { "type": "diamond", "amount": 100 },
+ *       { "type": "item", "id": "PumpkinSeed", "name": "Hạt bí ngô", "amount": 5 }
+ *     ]
+ *   },
+ *   "defaultReward": { "type": "gold", "amount": 50 }
+ * }
+ * Reward days are days of the player's streak, not calendar dates. A day gives at most
+ * MAX_REWARDS_PER_DAY rewards: database.rules.json checks claimed grants against that many.
+ */
+
+const MAX_REWARDS_PER_DAY = 5;
+
+const REWARD_TYPES = {
+    diamond: { label: 'kim cương', icon: 'fa-gem' },
+    gold: { label: 'vàng', icon: 'fa-coins' },
+    item: { label: '', icon: 'fa-seedling' }
+};
+
+class RewardCalendar {
+    constructor(options = {}) {
+        this.databasePath = options.databasePath || 'RewardSchedules';
+        this.fileURL = options.fileURL || 'data/reward-schedules.json';
+        this.defaultCycleLength = 30;
+        this.defaultSpecialDays = [7, 14, 21, 30];
+        this.fallbackReward = { type: 'diamond', amount: 10 };
+        this.schedules = {};
+        this.filePromise = null;
+    }
+
+    // Load (and cache) the schedule for a month key (YYYY-MM)
+    async load(monthKey) {
+        if (this.schedules[monthKey]) {
+            return this.schedules[monthKey];
+        }
+
+        let raw = await this.loadFromDatabase(monthKey);
+        if (!raw) {
+            const file = await this.loadFile();
+            raw = (file.months && file.months[monthKey]) || file.default || null;
+        }
+
+        const schedule = this.normalize(raw, monthKey);
+        this.schedules[monthKey] = schedule;
+        return schedule;
+    }
+
+    // Cached schedule for a month, or the built-in fallback if not loaded yet
+    get(monthKey) {
+        return this.schedules[monthKey] || this.normalize(null, monthKey);
+    }
+
+    async loadFromDatabase(monthKey) {
+        if (!window.firebaseRTDB) {
+            return null;
+        }
+
+        try {
+            const { ref, get } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js');
+            const snapshot = await get(ref(window.firebaseRTDB, `${this.databasePath}/${monthKey}`));
+            return snapshot.exists() ? snapshot.val() : null;
+        } catch (error) {
+            console.error('Error loading reward schedule from Firebase:', error);
+            return null;
+        }
+    }
+
+    loadFile() {
+        if (!this.filePromise) {
+            this.filePromise = fetch(this.fileURL)
+                .then(response => (response.ok ? response.json() : {}))
+                .catch(error => {
+                    console.error('Error loading reward schedule file:', error);
+                    return {};
+                });
+        }
+        return this.filePromise;
+    }
+
+    // Fill defaults and coerce every day's rewards into a list
+    normalize(raw, monthKey) {
+        const source = raw || {};
+        const rewards = {};
+        Object.entries(source.rewards || {}).forEach(([day, value]) => {
+            const list = this.normalizeRewards(value).slice(0, MAX_REWARDS_PER_DAY);
+            if (list.length > 0) {
+                rewards[parseInt(day, 10)] = list;
+            }
+        });
+
+        const defaultReward = this.normalizeRewards(source.defaultReward).slice(0, MAX_REWARDS_PER_DAY);
+
+        return {
+            id: source.id || monthKey || 'default',
+            theme: source.theme || null,
+            cycleLength: parseInt(source.cycleLength, 10) || this.defaultCycleLength,
+            specialDays: Object.values(source.specialDays || this.defaultSpecialDays).map(Number),
+            rewards,
+            defaultReward: defaultReward.length > 0 ? defaultReward : [{ ...this.fallbackReward }]
+        };
+    }
+
+    normalizeRewards(value) {
+        if (value === null || value === undefined) {
+            return [];
+        }
+        if (typeof value === 'number') {
+            return [{ type: 'diamond', amount: value }];
+        }
+
+        return Object.values(Array.isArray(value) ? value : [value])
+            .map(reward => ({
+                type: reward.type,
+                amount: parseInt(reward.amount, 10) || 0,
+                ...(reward.type === 'item' ? {
+                    id: reward.id || '',
+                    name: reward.name || reward.id || 'Vật phẩm',
+                    ...(reward.icon ? { icon: reward.icon } : {})
+                } : {})
+            }))
+            .filter(reward => REWARD_TYPES[reward.type] && reward.amount > 0);
+    }
+
+    // Position of a streak inside the schedule's cycle (1-based)
+    getCycleDay(streak, schedule) {
+        return ((Math.max(streak, 1) - 1) % schedule.cycleLength) + 1;
+    }
+
+    // Rewards for reaching the given streak length
+    getRewards(streak, schedule) {
+        const rewards = schedule.rewards[this.getCycleDay(streak, schedule)] || schedule.defaultReward;
+        return rewards.map(reward => ({ ...reward }));
+    }
+
+    isSpecial(streak, schedule) {
+        return schedule.specialDays.includes(this.getCycleDay(streak, schedule));
+    }
+
+    // Total Gold and Diamond in a reward list
+    static sumCurrency(rewards) {
+        return rewards.reduce((totals, reward) => {
+            if (reward.type === 'gold') totals.gold += reward.amount;
+            if (reward.type === 'diamond') totals.diamond += reward.amount;
+            return totals;
+        }, { gold: 0, diamond: 0 });
+    }
+
+    // Item rewards in a reward list
+    static getItems(rewards) {
+        return rewards.filter(reward => reward.type === 'item');
+    }
+
+    // Plain-text description, e.g. "100 kim cương, 5 Hạt bí ngô"
+    format(rewards) {
+        return rewards
+            .map(reward => `${reward.amount.toLocaleString()} ${reward.type === 'item' ? reward.name : REWARD_TYPES[reward.type].label}`)
+            .join(', ');
+    }
+
+    // Compact badge for a calendar cell (first reward, plus a counter for the rest)
+    renderBadge(rewards) {
+        if (!rewards || rewards.length === 0) {
+            return '';
+        }
+
+        const [first] = rewards;
+        const icon = first.type === 'item' && first.icon
+            ? `<img src="${RewardCalendar.escape(first.icon)}" alt="" class="day-reward-img">`
+            : `<i class="fas ${REWARD_TYPES[first.type].icon}"></i>`;
+        const more = rewards.length > 1 ? ` <small>+${rewards.length - 1}</small>` : '';
+        const title = RewardCalendar.escape(this.format(rewards));
+
+        return `
+            <span class="day-reward reward-${first.type}" title="${title}">
+                ${icon} ${first.amount.toLocaleString()}${more}
+            </span>`;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Create global reward calendar
+window.RewardCalendar = RewardCalendar;
+window.rewardCalendar = new RewardCalendar();
@@ -0,0 +1,166 @@
+/**
+ * Username backfill for Vườn Rực Rỡ
+ * Accounts created before usernames/ reservations existed only have users/{uid}.username.
+ * Registration checks usernames/ alone (firestore.rules keeps profiles private), so every such
+ * username needs a reservation before firestore.rules is deployed. This creates
+ * usernames/{normalized username} -> { uid, username, createdAt } for each of them and sets
+ * the profile's usernameKey, the same documents js/firebase-auth.js writes on registration.
+ *
+ * Safe to run more than once: existing reservations are never overwritten. When two legacy
+ * profiles share a normalized username the older profile keeps it and the other is reported;
+ * that player can still sign in by email and pick a new username.
+ *
+ * Usage (Node 18+, no dependencies):
+ *   GCLOUD_PROJECT=<project> GOOGLE_OAUTH_ACCESS_TOKEN=$(gcloud auth print-access-token) \
+ *     node scripts/backfill-usernames.mjs [--dry-run]
+ *   node scripts/backfill-usernames.mjs --emulator [--dry-run]   # against firebase emulators:start
+ */
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const EMULATOR = process.argv.includes('--emulator');
+
+const USERNAMES_COLLECTION = 'usernames';
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || (EMULATOR ? 'demo-vuonrucro' : null);
+const ACCESS_TOKEN = EMULATOR ? 'owner' : process.env.GOOGLE_OAUTH_ACCESS_TOKEN;
+
+const DOCUMENTS_BASE = EMULATOR
+    ? `http://${process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080'}/v1/projects/${PROJECT_ID}/databases/(default)/documents`
+    : `https://firestore.googleapis.com/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+
+// Resolves to the JSON body, or null for a status listed in allow
+async function call(url, method, body, allow = []) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${ACCESS_TOKEN}`
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (allow.includes(response.status)) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`${method} ${url} failed with ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+}
+
+// Same as normalizeUsername in js/firebase-auth.js
+function normalizeUsername(username) {
+    return String(username || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D')
+        .toLowerCase()
+        .replace(/\s+/g, '');
+}
+
+function getString(fields, name) {
+    const value = fields && fields[name];
+    return value && 'stringValue' in value ? value.stringValue : null;
+}
+
+// Profiles that have a username, oldest first: [{ uid, username, usernameKey, createTime }]
+async function listProfilesWithUsername() {
+    const profiles = [];
+    let pageToken = '';
+    do {
+        const query = `pageSize=300&mask.fieldPaths=username&mask.fieldPaths=usernameKey${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+        const page = await call(`${DOCUMENTS_BASE}/users?${query}`, 'GET');
+        (page.documents || []).forEach(document => {
+            const username = getString(document.fields, 'username');
+            if (username && normalizeUsername(username)) {
+                profiles.push({
+                    uid: document.name.split('/').pop(),
+                    username,
+                    usernameKey: getString(document.fields, 'usernameKey'),
+                    createTime: document.createTime
+                });
+            }
+        });
+        pageToken = page.nextPageToken || '';
+    } while (pageToken);
+    return profiles.sort((a, b) => a.createTime.localeCompare(b.createTime));
+}
+
+// Owner uid of an existing reservation, or null
+async function getReservationOwner(key) {
+    const document = await call(`${DOCUMENTS_BASE}/${USERNAMES_COLLECTION}/${encodeURIComponent(key)}`, 'GET', undefined, [404]);
+    return document ? getString(document.fields, 'uid') : null;
+}
+
+// Create the reservation unless someone got there first; resolves to { owner, created }
+async function reserve(profile, key) {
+    const created = await call(`${DOCUMENTS_BASE}/${USERNAMES_COLLECTION}?documentId=${encodeURIComponent(key)}`, 'POST', {
+        fields: {
+            uid: { stringValue: profile.uid },
+            username: { stringValue: profile.username },
+            createdAt: { stringValue: new Date().toISOString() }
+        }
+    }, [409]);
+    return created ? { owner: profile.uid, created: true } : { owner: await getReservationOwner(key), created: false };
+}
+
+async function setUsernameKey(profile, key) {
+    await call(`${DOCUMENTS_BASE}/users/${profile.uid}?updateMask.fieldPaths=usernameKey`, 'PATCH', {
+        fields: { usernameKey: { stringValue: key } }
+    });
+}
+
+if (!PROJECT_ID || !ACCESS_TOKEN) {
+    console.error('Set GCLOUD_PROJECT and GOOGLE_OAUTH_ACCESS_TOKEN, or pass --emulator.');
+    process.exit(1);
+}
+
+try {
+    const profiles = await listProfilesWithUsername();
+    let reserved = 0;
+    let failed = 0;
+    const conflicts = [];
+    // Keys handed out in this run, so a dry run also reports legacy duplicates
+    const claimed = new Map();
+    for (const profile of profiles) {
+        const key = normalizeUsername(profile.username);
+        try {
+            const { owner, created } = DRY_RUN
+                ? { owner: claimed.get(key) || await getReservationOwner(key), created: false }
+                : await reserve(profile, key);
+            claimed.set(key, owner || profile.uid);
+            if (owner && owner !== profile.uid) {
+                conflicts.push(`${profile.uid} (${profile.username}): "${key}" belongs to ${owner}`);
+                continue;
+            }
+            if (DRY_RUN) {
+                if (!owner) {
+                    console.log(`Would reserve "${key}" for ${profile.uid}`);
+                    reserved++;
+                }
+                continue;
+            }
+            if (profile.usernameKey !== key) {
+                await setUsernameKey(profile, key);
+            }
+            if (created) {
+                console.log(`Reserved "${key}" for ${profile.uid}`);
+                reserved++;
+            }
+        } catch (error) {
+            // Keep going; a rerun skips what is done and retries this one
+            failed++;
+            console.error(`Could not reserve "${key}" for ${profile.uid}:`, error.message);
+        }
+    }
+
+    conflicts.forEach(conflict => console.warn(`Conflict: ${conflict}`));
+    console.log(`${DRY_RUN ? 'Dry run. ' : ''}${profiles.length} profile(s) with a username, ${reserved} reserved, ${conflicts.length} conflict(s), ${failed} failed.`);
+    if (conflicts.length > 0 || failed > 0) {
+        process.exitCode = 1;
+    }
+} catch (error) {
+    console.error('Username backfill failed.');
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,208 @@
+/**
+ * Guest cleanup for Vườn Rực Rỡ
+ * Deletes guest (anonymous) players whose data has expired: the Realtime Database records
+ * (Users, CurrencyHistory, CheckinLedger, ItemInbox), the users/{uid} profile and the
+ * anonymous account itself. A guest has expired when
+ *   - its profile's guestExpiresAt has passed (js/firebase-auth.js pushes it back
+ *     GUEST_DATA_TTL_DAYS on every visit), or
+ *   - its account has not been used for GUEST_DATA_TTL_DAYS and has no live profile
+ *     (the page could not delete the account itself, or the profile was never written).
+ * Accounts that have a sign-in method (email or Google) are never touched, even if their
+ * profile still carries guest fields from an interrupted upgrade.
+ *
+ * Run it once a day (cron, Cloud Scheduler, CI schedule). Usage (Node 18+, no dependencies):
+ *   GCLOUD_PROJECT=<project> GOOGLE_OAUTH_ACCESS_TOKEN=$(gcloud auth print-access-token) \
+ *     node scripts/cleanup-guests.mjs [--dry-run]
+ *   node scripts/cleanup-guests.mjs --emulator [--dry-run]   # against firebase emulators:start
+ *
+ * The access token needs the cloud-platform scope (gcloud user or service account with
+ * Firebase Admin). FIREBASE_DATABASE_URL defaults to the project's default database.
+ */
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const EMULATOR = process.argv.includes('--emulator');
+
+// Same as GUEST_DATA_TTL_DAYS in js/firebase-auth.js
+const GUEST_DATA_TTL_DAYS = 30;
+// Same as PLAYER_DATA_PATHS in js/player-profile.js
+const PLAYER_DATA_PATHS = ['Users', 'CurrencyHistory', 'CheckinLedger', 'ItemInbox'];
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || (EMULATOR ? 'demo-vuonrucro' : null);
+const ACCESS_TOKEN = EMULATOR ? 'owner' : process.env.GOOGLE_OAUTH_ACCESS_TOKEN;
+
+const AUTH_BASE = EMULATOR
+    ? `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099'}/identitytoolkit.googleapis.com/v1/projects/${PROJECT_ID}`
+    : `https://identitytoolkit.googleapis.com/v1/projects/${PROJECT_ID}`;
+const DOCUMENTS_BASE = EMULATOR
+    ? `http://${process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080'}/v1/projects/${PROJECT_ID}/databases/(default)/documents`
+    : `https://firestore.googleapis.com/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+const DATABASE_ROOT = EMULATOR
+    ? `http://${process.env.FIREBASE_DATABASE_EMULATOR_HOST || '127.0.0.1:9000'}/.json?ns=${PROJECT_ID}`
+    : `${process.env.FIREBASE_DATABASE_URL || `https://${PROJECT_ID}-default-rtdb.firebaseio.com`}/.json`;
+
+async function call(url, method, body, { allowNotFound = false } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${ACCESS_TOKEN}`,
+            // Bills the Identity Toolkit calls to the project when using gcloud user credentials
+            ...(EMULATOR ? {} : { 'x-goog-user-project': PROJECT_ID })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (allowNotFound && response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`${method} ${url} failed with ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+}
+
+// Plain value of a Firestore REST field (only the types the guest fields use)
+function fromFirestoreValue(value) {
+    if (!value) {
+        return undefined;
+    }
+    if ('stringValue' in value) {
+        return value.stringValue;
+    }
+    if ('booleanValue' in value) {
+        return value.booleanValue;
+    }
+    return null;
+}
+
+// Profiles whose guestExpiresAt has passed: Map uid -> guestExpiresAt.
+// ISO timestamps sort as strings, so a single-field range query is enough (no composite index).
+async function findExpiredProfiles(now) {
+    const results = await call(`${DOCUMENTS_BASE}:runQuery`, 'POST', {
+        structuredQuery: {
+            from: [{ collectionId: 'users' }],
+            where: {
+                fieldFilter: {
+                    field: { fieldPath: 'guestExpiresAt' },
+                    op: 'LESS_THAN',
+                    value: { stringValue: now.toISOString() }
+                }
+            }
+        }
+    });
+
+    const expired = new Map();
+    results.filter(result => result.document).forEach(({ document }) => {
+        const fields = document.fields || {};
+        if (fromFirestoreValue(fields.isGuest) === true) {
+            expired.set(document.name.split('/').pop(), fromFirestoreValue(fields.guestExpiresAt));
+        }
+    });
+    return expired;
+}
+
+// Every Auth account, page by page: Map uid -> account
+async function listAccounts() {
+    const accounts = new Map();
+    let pageToken = '';
+    do {
+        const query = `maxResults=1000${pageToken ? `&nextPageToken=${encodeURIComponent(pageToken)}` : ''}`;
+        const page = await call(`${AUTH_BASE}/accounts:batchGet?${query}`, 'GET');
+        (page.users || []).forEach(account => accounts.set(account.localId, account));
+        pageToken = page.nextPageToken || '';
+    } while (pageToken);
+    return accounts;
+}
+
+// Anonymous accounts carry no sign-in method
+function isAnonymousAccount(account) {
+    return !account.email && !(account.providerUserInfo || []).length;
+}
+
+// Last time the account signed in or refreshed its token, in ms
+function getLastActivity(account) {
+    const refreshed = account.lastRefreshAt ? Date.parse(account.lastRefreshAt) : 0;
+    const signedIn = Number(account.lastLoginAt || account.createdAt || 0);
+    return Math.max(refreshed || 0, signedIn || 0);
+}
+
+// Guest profile of a uid: { exists, expiresAt }
+async function getProfile(uid) {
+    const document = await call(`${DOCUMENTS_BASE}/users/${uid}`, 'GET', undefined, { allowNotFound: true });
+    return {
+        exists: !!document,
+        expiresAt: document ? fromFirestoreValue((document.fields || {}).guestExpiresAt) : null
+    };
+}
+
+// Guests to delete: Map uid -> reason
+async function findExpiredGuests(now) {
+    const [profiles, accounts] = await Promise.all([findExpiredProfiles(now), listAccounts()]);
+    const expired = new Map();
+
+    profiles.forEach((expiresAt, uid) => {
+        const account = accounts.get(uid);
+        if (!account || isAnonymousAccount(account)) {
+            expired.set(uid, `profile expired ${expiresAt}`);
+        }
+    });
+
+    const cutoff = now.getTime() - GUEST_DATA_TTL_DAYS * 24 * 60 * 60 * 1000;
+    for (const [uid, account] of accounts) {
+        if (expired.has(uid) || !isAnonymousAccount(account) || getLastActivity(account) >= cutoff) {
+            continue;
+        }
+        // A guest that visited recently has a later guestExpiresAt than its token activity shows
+        const profile = await getProfile(uid);
+        if (profile.exists && profile.expiresAt && Date.parse(profile.expiresAt) >= now.getTime()) {
+            continue;
+        }
+        expired.set(uid, `inactive since ${new Date(getLastActivity(account)).toISOString()}`);
+    }
+    return expired;
+}
+
+// Same order as the page: game data, then the profile, then the account
+async function deleteGuest(uid) {
+    const updates = Object.fromEntries(PLAYER_DATA_PATHS.map(path => [`${path}/${uid}`, null]));
+    await call(DATABASE_ROOT, 'PATCH', updates);
+    await call(`${DOCUMENTS_BASE}/users/${uid}`, 'DELETE', undefined, { allowNotFound: true });
+    try {
+        await call(`${AUTH_BASE}/accounts:delete`, 'POST', { localId: uid });
+    } catch (error) {
+        if (!error.message.includes('USER_NOT_FOUND')) {
+            throw error;
+        }
+    }
+}
+
+if (!PROJECT_ID || !ACCESS_TOKEN) {
+    console.error('Set GCLOUD_PROJECT and GOOGLE_OAUTH_ACCESS_TOKEN, or pass --emulator.');
+    process.exit(1);
+}
+
+try {
+    const expired = await findExpiredGuests(new Date());
+    let failed = 0;
+    for (const [uid, reason] of expired) {
+        if (DRY_RUN) {
+            console.log(`Would delete guest ${uid} (${reason})`);
+            continue;
+        }
+        try {
+            await deleteGuest(uid);
+            console.log(`Deleted guest ${uid} (${reason})`);
+        } catch (error) {
+            // Keep going; the next run retries it
+            failed++;
+            console.error(`Could not delete guest ${uid}:`, error.message);
+        }
+    }
+    console.log(`${DRY_RUN ? 'Dry run. ' : ''}${expired.size} expired guest(s), ${failed} failed.`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+} catch (error) {
+    console.error('Guest cleanup failed.');
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,82 @@
+/**
+ * Tests for js/game-clock.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Load the classic script the way the page does and return its GameClock class
+function loadGameClock() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'game-clock.js'), 'utf8');
+    const context = { window: {}, Intl, Date };
+    vm.runInNewContext(source, context);
+    return context.window.GameClock;
+}
+
+const GameClock = loadGameClock();
+const vietnam = new GameClock();
+
+test('addDays crosses the end of a month', () => {
+    assert.equal(vietnam.addDays('2026-01-31', 1), '2026-02-01');
+    assert.equal(vietnam.addDays('2026-03-01', -1), '2026-02-28');
+    assert.equal(vietnam.addDays('2026-04-30', 1), '2026-05-01');
+});
+
+test('addDays crosses the end of a year', () => {
+    assert.equal(vietnam.addDays('2025-12-31', 1), '2026-01-01');
+    assert.equal(vietnam.addDays('2026-01-01', -1), '2025-12-31');
+    assert.equal(vietnam.addDays('2025-12-30', 7), '2026-01-06');
+});
+
+test('addDays handles Feb 29', () => {
+    assert.equal(vietnam.addDays('2028-02-28', 1), '2028-02-29');
+    assert.equal(vietnam.addDays('2028-02-29', 1), '2028-03-01');
+    assert.equal(vietnam.addDays('2028-03-01', -1), '2028-02-29');
+    assert.equal(vietnam.addDays('2027-02-28', 1), '2027-03-01');
+    assert.equal(vietnam.getDaysInMonth(2028, 2), 29);
+    assert.equal(vietnam.getDaysInMonth(2027, 2), 28);
+    assert.equal(vietnam.getDaysInMonth(2100, 2), 28);
+});
+
+test('addMonths crosses the end of a year', () => {
+    assert.equal(vietnam.addMonths('2025-12', 1), '2026-01');
+    assert.equal(vietnam.addMonths('2026-01', -1), '2025-12');
+    assert.equal(vietnam.addMonths('2026-11', 3), '2027-02');
+    assert.equal(vietnam.addMonths('2026-03', -15), '2024-12');
+});
+
+test('getGameDay uses Vietnam time regardless of the device', () => {
+    // 16:59:59 UTC is 23:59:59 in Vietnam (UTC+7)
+    assert.deepEqual({ ...vietnam.getGameDay(new Date('2025-12-31T16:59:59Z')) }, { year: 2025, month: 12, day: 31 });
+    assert.deepEqual({ ...vietnam.getGameDay(new Date('2025-12-31T17:00:00Z')) }, { year: 2026, month: 1, day: 1 });
+    assert.equal(vietnam.getMonthKey(new Date('2026-02-28T17:00:00Z')), '2026-03');
+    assert.equal(vietnam.getPreviousDateString(new Date('2028-02-29T17:00:00Z')), '2028-02-29');
+});
+
+test('getGameDay honours the reset hour boundary', () => {
+    const clock = new GameClock({ resetHour: 5 });
+    // 04:59:59 on 1 March, Vietnam time, still belongs to the last game day of February
+    assert.equal(clock.getDateString(new Date('2026-02-28T21:59:59Z')), '2026-02-28');
+    assert.equal(clock.getDateString(new Date('2026-02-28T22:00:00Z')), '2026-03-01');
+});
+
+test('msUntilNextReset counts down to the reset hour', () => {
+    assert.equal(vietnam.msUntilNextReset(new Date('2025-12-31T16:59:59Z')), 1000);
+    assert.equal(vietnam.msUntilNextReset(new Date('2025-12-31T17:00:00Z')), 24 * 60 * 60 * 1000);
+
+    const clock = new GameClock({ resetHour: 5 });
+    assert.equal(clock.getNextResetTime(new Date('2026-03-01T21:59:59Z')).toISOString(), '2026-03-01T22:00:00.000Z');
+    assert.equal(clock.getNextResetTime(new Date('2026-03-01T22:00:00Z')).toISOString(), '2026-03-02T22:00:00.000Z');
+});
+
+test('getNextResetTime uses the offset at the boundary across daylight saving', () => {
+    // Berlin moves from UTC+1 to UTC+2 at 02:00 on 29 March 2026
+    const clock = new GameClock({ timeZone: 'Europe/Berlin', resetHour: 3 });
+    const beforeChange = new Date('2026-03-28T12:00:00Z');
+    assert.equal(clock.getNextResetTime(beforeChange).toISOString(), '2026-03-29T01:00:00.000Z');
+    assert.equal(clock.msUntilNextReset(beforeChange), 13 * 60 * 60 * 1000);
+});